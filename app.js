@@ -1,4 +1,42 @@
-const WORKER_URL = 'https://survivor-api.brostar.workers.dev';
+import { validateRoster, validatePrediction, NAME_MAX_LENGTH } from './roster-rules.js?v=2';
+import { formatRows } from './data-format.js?v=1';
+import { computePickAnalytics } from './pick-analytics.js?v=1';
+import { CONTESTANT_RULES, PLACEMENT_CURVES, isFinalist, eliminationEpisode, bonusCount } from './scoring-rules.js?v=1';
+
+const DEPLOYED_WORKER_URL = 'https://survivor-api.brostar.workers.dev';
+const WORKER_URL_KEY = 'survivor-worker-url';
+
+// ?worker=http://localhost:8787 points this browser at a local worker (worker/emulator.js)
+// until ?worker= with no value switches it back. only this machine is accepted: admin
+// secrets and edit tokens go wherever WORKER_URL points, so a link must not redirect them
+const LOCAL_WORKER_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+function localWorkerUrl(value) {
+  try {
+    const url = new URL(value);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && LOCAL_WORKER_HOSTS.includes(url.hostname) ? url.origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function workerUrl() {
+  try {
+    const override = new URLSearchParams(location.search).get('worker');
+    if (override && localWorkerUrl(override)) localStorage.setItem(WORKER_URL_KEY, localWorkerUrl(override));
+    else if (override === '') localStorage.removeItem(WORKER_URL_KEY);
+    const saved = localWorkerUrl(localStorage.getItem(WORKER_URL_KEY));
+    if (!saved) localStorage.removeItem(WORKER_URL_KEY);
+    return saved || DEPLOYED_WORKER_URL;
+  } catch (e) {
+    return DEPLOYED_WORKER_URL;
+  }
+}
+
+const WORKER_URL = workerUrl();
+
+// the original family pool; its routes, files and worker keys carry no league id
+const DEFAULT_LEAGUE = 'family';
 
 // --- data loading ---
 
@@ -8,30 +46,75 @@ async function fetchJSON(path) {
   return res.json();
 }
 
+// a file that may not be committed yet: missing gives the fallback, anything
+// else wrong with it (a bad response, broken JSON) still fails loudly
+async function fetchOptionalJSON(path, fallback) {
+  const res = await fetch(path);
+  if (res.status === 404) return fallback;
+  if (!res.ok) throw new Error(`failed to fetch ${path}`);
+  return res.json();
+}
+
 let seasonsCache = null;
 async function loadSeasons() {
   if (!seasonsCache) seasonsCache = await fetchJSON('data/seasons.json');
   return seasonsCache;
 }
 
+let leaguesCache = null;
+async function loadLeagues() {
+  if (!leaguesCache) leaguesCache = await fetchJSON('data/leagues.json');
+  return leaguesCache;
+}
+
+// a league plus the seasons it plays; leagues without a seasons list play every season
+async function loadLeague(leagueId) {
+  const [leagues, seasons] = await Promise.all([loadLeagues(), loadSeasons()]);
+  const league = leagues.find(l => l.id === leagueId);
+  if (!league) throw new Error(`league "${leagueId}" not found`);
+  const leagueSeasons = league.seasons ? seasons.filter(s => league.seasons.includes(s.id)) : seasons;
+  return { league, leagues, seasons: leagueSeasons };
+}
+
+// hash prefix for a league's routes
+function leagueBase(leagueId) {
+  return leagueId === DEFAULT_LEAGUE ? '#' : `#/league/${leagueId}`;
+}
+
+// key for anything stored per pool (one league's draft of one season)
+function poolKey(seasonId, leagueId) {
+  return leagueId === DEFAULT_LEAGUE ? seasonId : `${leagueId}/${seasonId}`;
+}
+
 const seasonDataCache = {};
-async function loadSeasonData(id, bustCache = false) {
-  if (bustCache) delete seasonDataCache[id];
-  if (!seasonDataCache[id]) {
-    const [season, contestants, staticPicks] = await Promise.all([
+async function loadSeasonData(id, leagueId = DEFAULT_LEAGUE, bustCache = false) {
+  const key = poolKey(id, leagueId);
+  if (bustCache) delete seasonDataCache[key];
+  if (!seasonDataCache[key]) {
+    const suffix = leagueId === DEFAULT_LEAGUE ? '' : `-${leagueId}`;
+    const [season, roster, staticPicks, events] = await Promise.all([
       fetchJSON(`data/${id}/season.json`),
       fetchJSON(`data/${id}/contestants.json`),
-      fetchJSON(`data/${id}/picks.json`)
+      // a new league has no committed picks file until its first export
+      fetchOptionalJSON(`data/${id}/picks${suffix}.json`, []),
+      fetchOptionalJSON(`data/${id}/events.json`, null)
     ]);
+    // only seasons running the prediction game have guesses to commit
+    const staticPredictions = season.predictions ? await fetchOptionalJSON(`data/${id}/predictions${suffix}.json`, []) : [];
 
     // for active seasons, merge in live picks from worker
     let picks = staticPicks;
+    let sealed = null;
     if (season.status === 'active') {
       try {
-        const res = await fetch(`${WORKER_URL}/picks/${id}`);
+        const leaguePath = leagueId === DEFAULT_LEAGUE ? '' : `/${leagueId}`;
+        const res = await fetch(`${WORKER_URL}/picks/${id}${leaguePath}`);
         if (res.ok) {
           const data = await res.json();
-          if (data.picks && data.picks.length > 0) {
+          if (data.sealed) {
+            // rosters stay hidden until the deadline — only who submitted and when
+            sealed = { deadline: data.config.deadline, entries: data.picks };
+          } else if (data.picks && data.picks.length > 0) {
             // merge: worker picks override static picks by name
             const merged = new Map();
             for (const p of staticPicks) merged.set(p.name, p);
@@ -44,144 +127,859 @@ async function loadSeasonData(id, bustCache = false) {
       }
     }
 
-    seasonDataCache[id] = { season, contestants, picks };
+    // results recorded live on episode night ride on top of the committed log until a scrape confirms them
+    let log = events;
+    if (season.status === 'active') {
+      try {
+        const res = await fetch(`${WORKER_URL}/events/${id}`);
+        if (res.ok) {
+          const data = await res.json();
+          if (data.events && data.events.length > 0) log = mergeLiveEvents(events || [], data.events);
+        }
+      } catch (e) {
+        console.warn('worker fetch failed, using committed results:', e.message);
+      }
+    }
+
+    // weekly predictions: the worker's override committed ones for the same player and episode
+    let predictions = staticPredictions;
+    if (season.status === 'active' && season.predictions) {
+      try {
+        const leaguePath = leagueId === DEFAULT_LEAGUE ? '' : `/${leagueId}`;
+        const res = await fetch(`${WORKER_URL}/predictions/${id}${leaguePath}`);
+        if (res.ok) {
+          const data = await res.json();
+          const merged = new Map(staticPredictions.map(p => [`${p.name}/${p.episode}`, p]));
+          for (const p of data.predictions || []) merged.set(`${p.name}/${p.episode}`, p);
+          predictions = Array.from(merged.values()).sort((a, b) => a.episode - b.episode);
+        }
+      } catch (e) {
+        console.warn('worker fetch failed, using committed predictions:', e.message);
+      }
+    }
+    // each roster carries its owner's guesses so the predictions scoring rule can see them
+    picks = picks.map(p => ({ ...p, predictions: predictions.filter(x => x.name === p.name) }));
+
+    // seasons with an event log derive results from it; older seasons keep them on the roster
+    const contestants = log ? replayEvents(roster, log, season.contestantCount) : roster;
+
+    seasonDataCache[key] = { season, contestants, events: log, picks, sealed };
   }
-  return seasonDataCache[id];
+  return seasonDataCache[key];
 }
 
-// --- scoring engine ---
+// --- season events ---
+
+// data/<season>/events.json is append-only: a wrong entry is undone by a later
+// { type: 'retract', index } pointing at it, so every correction shows up as a diff
+
+// events that credit a bonus key, one entry per event (or per count, e.g. votes at one tribal)
+const BONUS_EVENTS = {
+  immunity_win: 'immunityWin',
+  reward_win: 'rewardWin',
+  idol_found: 'idolFound',
+  idol_played: 'idolPlayed',
+  advantage_found: 'advantageFound',
+  advantage_played: 'advantagePlayed',
+  vote_received: 'votesReceived',
+  votes_nullified: 'votesNullified',
+  fire_win: 'fireWin',
+  idol_blindside: 'idolBlindside'
+};
+
+function creditBonus(c, key, episode, count = 1) {
+  c.bonuses[key] = [...(c.bonuses[key] || []), ...Array(count).fill(episode)];
+}
 
-function computeStandings(season, contestants, picks) {
-  const contestantMap = new Map();
-  for (const c of contestants) contestantMap.set(c.name, c);
-  const { contestantCount, scoring } = season;
+// each handler applies one event to the contestant it names (c) or, for merge, to everyone left
+const EVENT_HANDLERS = {
+  eliminated: (c, e, state) => {
+    c.placement = e.placement != null ? e.placement : state.remaining;
+    c.method = e.method || 'voted out';
+    c.jury = !!e.jury;
+    c.note = e.note || null;
+    c.episode = e.episode;
+    state.remaining--;
+  },
+  winner: (c, e) => {
+    c.placement = 1;
+    c.method = 'winner';
+    c.note = e.note || 'sole survivor';
+    c.episode = e.episode;
+  },
+  jury_vote: (c, e, state) => {
+    c.jury = true;
+    creditBonus(state.byName.get(e.for), 'juryVotes', e.episode);
+  },
+  tribe_swap: (c, e) => { c.currentTribe = e.tribe; },
+  merge: (c, e, state) => {
+    for (const other of state.byName.values()) {
+      if (other.placement == null) other.currentTribe = e.tribe;
+    }
+  },
+  bonus: (c, e) => creditBonus(c, e.key, e.episode, e.count),
+  ...Object.fromEntries(Object.entries(BONUS_EVENTS).map(([type, key]) =>
+    [type, (c, e) => creditBonus(c, key, e.episode, e.count)]))
+};
+
+// contestant state after replaying the log over the bare roster. boots are applied
+// in episode order, so an elimination logged late still gets the right placement
+function replayEvents(roster, events, contestantCount) {
+  const retracted = new Set(events.filter(e => e.type === 'retract').map(e => e.index));
+  const byName = new Map(roster.map(c => [c.name,
+    { ...c, placement: null, method: null, jury: false, note: null, bonuses: {}, episode: undefined }]));
+  const state = { byName, remaining: contestantCount };
+
+  const applied = events
+    .map((e, index) => ({ e, index }))
+    .filter(({ e, index }) => e.type !== 'retract' && !retracted.has(index))
+    .sort((a, b) => a.e.episode - b.e.episode || a.index - b.index);
+
+  for (const { e, index } of applied) {
+    const handler = EVENT_HANDLERS[e.type];
+    if (!handler) throw new Error(`event ${index}: unknown type "${e.type}"`);
+    const c = e.contestant != null ? byName.get(e.contestant) : null;
+    if (e.contestant != null && !c) throw new Error(`event ${index}: unknown contestant "${e.contestant}"`);
+    if (e.type === 'jury_vote' && !byName.has(e.for)) throw new Error(`event ${index}: unknown contestant "${e.for}"`);
+    handler(c, e, state);
+  }
 
-  const results = picks.map(player => {
-    const pickContestants = player.picks.map(name => contestantMap.get(name));
-    const altContestants = (player.alternates || []).map(name => contestantMap.get(name));
+  for (const c of byName.values()) {
+    for (const key of Object.keys(c.bonuses)) c.bonuses[key].sort((a, b) => a - b);
+  }
+  return Array.from(byName.values());
+}
 
-    // placement points for a contestant
-    const placementPts = c => {
-      if (!c || c.placement == null) return 0;
-      return contestantCount + 1 - c.placement;
-    };
+// what an event says, ignoring where it came from; a live entry and the scraped one match
+function eventSignature(e) {
+  const { source, recordedAt, note, ...fields } = e;
+  return JSON.stringify(fields, Object.keys(fields).sort());
+}
 
-    // gameplay bonus points for a contestant
-    const bonusPts = c => {
-      if (!c || !c.bonuses) return 0;
-      let total = 0;
-      for (const [key, count] of Object.entries(c.bonuses)) {
-        if (scoring[key]) total += count * scoring[key];
-      }
-      return total;
-    };
+// committed log plus live events, minus live ones the committed log already has.
+// live retractions point into the live list, so their indices move with it
+function mergeLiveEvents(events, live) {
+  const committed = new Map();
+  for (const e of events) committed.set(eventSignature(e), (committed.get(eventSignature(e)) || 0) + 1);
+
+  const merged = [...events];
+  const moved = new Map();
+  live.forEach((e, i) => {
+    if (e.type === 'retract') {
+      if (moved.has(e.index)) merged.push({ ...e, index: moved.get(e.index) });
+      return;
+    }
+    const sig = eventSignature(e);
+    if (committed.get(sig) > 0) {
+      committed.set(sig, committed.get(sig) - 1);
+      return;
+    }
+    moved.set(i, merged.length);
+    merged.push(e);
+  });
+  return merged;
+}
 
-    const totalPts = c => placementPts(c) + bonusPts(c);
-
-    // find best alternate swap: replace earliest-eliminated pick with alt if net gain
-    let swapIndex = -1;
-    let swapAltIndex = -1;
-    if (altContestants.length > 0) {
-      // find the pick with lowest placement points (earliest eliminated)
-      let worstIdx = -1;
-      let worstPts = Infinity;
-      for (let i = 0; i < pickContestants.length; i++) {
-        const c = pickContestants[i];
-        const pp = placementPts(c);
-        // only consider eliminated contestants (placement != null) for swapping
-        if (c && c.placement != null && pp < worstPts) {
-          worstPts = pp;
-          worstIdx = i;
-        }
-      }
+// one line for an event, e.g. "eliminated rick devens (voted out, jury)"
+function describeEvent(e) {
+  const detail = [e.method, e.jury ? 'jury' : null, e.count > 1 ? `x${e.count}` : null, e.for ? `for ${e.for}` : null, e.tribe].filter(Boolean).join(', ');
+  return `${[e.type.replace(/_/g, ' '), e.contestant].filter(Boolean).join(' ')}${detail ? ` (${detail})` : ''}`;
+}
+
+// --- edit tokens ---
+
+// the worker hands back a secret token on first submission; keep one per
+// player per pool so several family members can share a device
+const EDIT_TOKENS_KEY = 'survivor-edit-tokens';
+// how a token is presented to the worker when reading
+const EDIT_TOKEN_HEADER = 'X-Edit-Token';
+
+function loadEditTokens(pool) {
+  try {
+    const all = JSON.parse(localStorage.getItem(EDIT_TOKENS_KEY)) || {};
+    return all[pool] || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveEditToken(pool, name, token) {
+  let all = {};
+  try { all = JSON.parse(localStorage.getItem(EDIT_TOKENS_KEY)) || {}; } catch (e) {}
+  all[pool] = { ...all[pool], [name]: token };
+  localStorage.setItem(EDIT_TOKENS_KEY, JSON.stringify(all));
+}
+
+// --- scoring rules ---
+
+// season.json describes scoring as a list of rules. contestant rules (scoring-rules.js)
+// score each pick on its own; roster rules score the roster as a whole (once per player),
+// and the predictions rule folds the player's weekly guesses into their total
 
-      if (worstIdx !== -1) {
-        // check each alternate
-        for (let a = 0; a < altContestants.length; a++) {
-          const alt = altContestants[a];
-          if (totalPts(alt) > totalPts(pickContestants[worstIdx])) {
-            swapIndex = worstIdx;
-            swapAltIndex = a;
-            break;
+const ROSTER_RULES = {
+  finish: (rule, activePicks) => activePicks.some(c => c && c.placement === rule.placement) ? rule.points : 0,
+  predictions: (rule, activePicks, { player, season, contestants, episode }) =>
+    scorePredictions(season, contestants, player.predictions || [], episode).points
+};
+
+function checkRules(rules) {
+  for (const rule of rules) {
+    if (!CONTESTANT_RULES[rule.type] && !ROSTER_RULES[rule.type]) {
+      throw new Error(`unknown scoring rule type "${rule.type}"`);
+    }
+    if (rule.type === 'placement' && !PLACEMENT_CURVES[rule.curve || 'linear']) {
+      throw new Error(`unknown placement curve "${rule.curve}"`);
+    }
+  }
+}
+
+// short label for a rule's line in a breakdown
+function ruleLabel(rule) {
+  if (rule.label) return rule.label;
+  switch (rule.type) {
+    case 'placement': return 'placement';
+    case 'jury': return 'made jury';
+    case 'method': return rule.method;
+    case 'bonus': return rule.key;
+    case 'survival': return 'episodes survived';
+    case 'fire': return 'won fire';
+    case 'blindside': return 'blindsided with an idol';
+    case 'finish': return `${ordinal(rule.placement)} place`;
+    case 'predictions': return 'predictions';
+  }
+}
+
+function signed(n) {
+  return n < 0 ? `${n}` : `+${n}`;
+}
+
+// one line of rules text per group of rules, in the order they're listed
+function describeScoring(season) {
+  const rules = season.scoring;
+  const lines = [];
+  const described = new Set();
+
+  for (const rule of rules) {
+    if (described.has(rule.type)) continue;
+    const group = rules.filter(r => r.type === rule.type);
+    switch (rule.type) {
+      case 'placement':
+        for (const r of group) {
+          if ((r.curve || 'linear') === 'linear') {
+            lines.push(`<b>placement points</b> &mdash; each pick earns points based on how far they got. winner = ${season.contestantCount} pts, first out = 1 pt.`);
+          } else {
+            const spots = r.table.map((pts, i) => `${ordinal(i + 1)} = ${pts}`).join(', ');
+            lines.push(`<b>placement points</b> &mdash; ${spots}. everyone else earns 0.`);
           }
         }
+        break;
+      case 'finish':
+        lines.push(`<b>bonuses</b> &mdash; ${group.map(r => `${signed(r.points)} for picking the ${ruleLabel(r)}.`).join(' ')}`);
+        break;
+      case 'bonus':
+        lines.push(`<b>gameplay</b> &mdash; ${group.map(r => `${signed(r.points)}/${ruleLabel(r)}`).join(', ')}.`);
+        break;
+      case 'jury':
+        lines.push(`<b>jury</b> &mdash; ${signed(rule.points)} for each pick who makes the jury or the final.`);
+        break;
+      case 'method':
+        lines.push(`<b>exits</b> &mdash; ${group.map(r => `${signed(r.points)} for a ${ruleLabel(r)}`).join(', ')}.`);
+        break;
+      case 'survival':
+        lines.push(`<b>survival</b> &mdash; ${signed(rule.points)} per pick for every episode they survive.`);
+        break;
+      case 'fire':
+        lines.push(`<b>fire-making</b> &mdash; ${signed(rule.points)} for a pick who wins the final-four fire challenge.`);
+        break;
+      case 'blindside':
+        lines.push(`<b>blindsides</b> &mdash; ${signed(rule.points)} for a pick voted out with an idol in their pocket.`);
+        break;
+      case 'predictions': {
+        const points = predictionPoints(season);
+        lines.push(`<b>predictions</b> &mdash; ${signed(points.boot)} for each boot you call and ${signed(points.immunity)} for each immunity win, added to your total.`);
+        break;
       }
     }
+    described.add(rule.type);
+  }
+  const tiebreakers = seasonTiebreakers(season);
+  if (tiebreakers.length > 0) {
+    lines.push(`<b>tiebreakers</b> &mdash; players level on points are separated by ${tiebreakers.map(t => t.label).join(', then ')}. anyone still level shares the spot.`);
+  }
+  return lines;
+}
 
-    // compute final picks with swap applied
-    const finalPicks = pickContestants.map((c, i) => ({
-      contestant: c,
-      placement: placementPts(c),
-      bonus: bonusPts(c),
-      total: totalPts(c),
-      swappedOut: i === swapIndex
-    }));
+// --- alternate policies ---
 
-    const activeAlts = altContestants.map((c, a) => ({
-      contestant: c,
-      placement: placementPts(c),
-      bonus: bonusPts(c),
-      total: totalPts(c),
-      swappedIn: a === swapAltIndex
-    }));
+// how alternates come off the bench, set by season.alternatePolicy. each policy
+// returns the swaps to make as { pick, alt } index pairs
+
+const INJURY_METHODS = ['medevac', 'quit'];
+
+// eliminated pick indexes, earliest out first
+function eliminatedOrder(pickScores) {
+  return pickScores
+    .map((p, i) => i)
+    .filter(i => pickScores[i].contestant && pickScores[i].contestant.placement != null)
+    .sort((a, b) => pickScores[b].contestant.placement - pickScores[a].contestant.placement);
+}
+
+// give each candidate pick, in order, the best unused alternate that outscores it
+function pairAlternates(candidates, pickScores, altScores) {
+  const used = new Set();
+  const swaps = [];
+  for (const i of candidates) {
+    let best = -1;
+    altScores.forEach((alt, a) => {
+      if (used.has(a) || !alt.contestant || alt.total <= pickScores[i].total) return;
+      if (best === -1 || alt.total > altScores[best].total) best = a;
+    });
+    if (best !== -1) {
+      used.add(best);
+      swaps.push({ pick: i, alt: best });
+    }
+  }
+  return swaps;
+}
+
+const ALTERNATE_POLICIES = {
+  single: {
+    note: 'your best alternate replaces your earliest-eliminated pick if beneficial.',
+    rule: 'your alternate replaces your earliest-eliminated pick, but only if it\'s an upgrade.',
+    swaps: (pickScores, altScores) => pairAlternates(eliminatedOrder(pickScores).slice(0, 1), pickScores, altScores)
+  },
+  cascade: {
+    note: 'each alternate replaces one eliminated pick, earliest-eliminated first, if beneficial.',
+    rule: 'each alternate can replace one eliminated pick &mdash; your best alternate covers your earliest-eliminated pick, the next covers the next, and so on, but only where it\'s an upgrade.',
+    swaps: (pickScores, altScores) => pairAlternates(eliminatedOrder(pickScores), pickScores, altScores)
+  },
+  slot: {
+    note: 'each alternate backs up one pick and replaces it if that pick is eliminated and the alternate scored more.',
+    rule: 'each alternate backs up one specific pick, chosen when you submit, and replaces it only if that pick is eliminated and the alternate is an upgrade.',
+    // player.alternateSlots[a] is the pick index alternate a backs up; defaults to the same position
+    swaps: (pickScores, altScores, player) => {
+      const swaps = [];
+      altScores.forEach((alt, a) => {
+        const i = player.alternateSlots && player.alternateSlots[a] != null ? player.alternateSlots[a] : a;
+        const pick = pickScores[i];
+        if (!pick || !pick.contestant || pick.contestant.placement == null || !alt.contestant) return;
+        if (swaps.some(s => s.pick === i)) return;
+        if (alt.total > pick.total) swaps.push({ pick: i, alt: a });
+      });
+      return swaps;
+    }
+  },
+  injury: {
+    note: 'alternates only replace picks who leave by medevac or quitting, if beneficial.',
+    rule: 'alternates only come in for picks who leave by medevac or quitting &mdash; earliest exit first &mdash; and only if it\'s an upgrade.',
+    swaps: (pickScores, altScores) => {
+      const injured = eliminatedOrder(pickScores).filter(i => INJURY_METHODS.includes(pickScores[i].contestant.method));
+      return pairAlternates(injured, pickScores, altScores);
+    }
+  }
+};
+
+function alternatePolicy(season) {
+  const name = season.alternatePolicy || 'single';
+  const policy = ALTERNATE_POLICIES[name];
+  if (!policy) throw new Error(`unknown alternate policy "${name}"`);
+  return policy;
+}
+
+// --- tiebreakers ---
+
+// season.tiebreakers lists which of these separate players level on points, in
+// order. each value is higher-is-better and only looks at the contestants actually
+// scoring for the roster (picks still on it plus alternates swapped in)
+
+function scoringPicks(result) {
+  return [...result.picks.filter(p => !p.swappedOut), ...result.alternates.filter(a => a.swappedIn)]
+    .filter(p => p.contestant);
+}
+
+// the winner's jury votes as recorded, or season.finalVotes when they weren't
+function finalVoteCount(season, contestants) {
+  const winner = contestants.find(c => c.placement === 1);
+  const recorded = winner && winner.bonuses && winner.bonuses.juryVotes;
+  if (recorded != null && bonusCount(recorded) > 0) return bonusCount(recorded);
+  return season.finalVotes != null ? season.finalVotes : null;
+}
+
+const TIEBREAKERS = {
+  winnerPicks: {
+    label: 'most winner picks',
+    value: result => scoringPicks(result).filter(p => p.contestant.placement === 1).length
+  },
+  bestPick: {
+    label: 'best single pick',
+    value: result => Math.max(0, ...scoringPicks(result).map(p => p.total))
+  },
+  latestPick: {
+    label: 'latest-surviving pick',
+    // anyone still in the game outlasts everyone who's out
+    value: (result, season) => Math.max(0, ...scoringPicks(result).map(p =>
+      season.contestantCount + 1 - (p.contestant.placement != null ? p.contestant.placement : 0)))
+  },
+  finalVotes: {
+    label: 'closest guess at the winner\'s final vote count',
+    // nobody is separated until the count is known; no guess loses to any guess
+    value: (result, season, contestants) => {
+      const actual = finalVoteCount(season, contestants);
+      if (actual == null) return 0;
+      return result.finalVotesGuess != null ? -Math.abs(result.finalVotesGuess - actual) : -Infinity;
+    }
+  }
+};
+
+function seasonTiebreakers(season) {
+  return (season.tiebreakers || []).map(key => {
+    if (!TIEBREAKERS[key]) throw new Error(`unknown tiebreaker "${key}"`);
+    return { key, ...TIEBREAKERS[key] };
+  });
+}
+
+// index of the first tiebreaker that separates two players, or -1. values can be
+// -Infinity, so they're compared rather than subtracted
+function firstDifference(a, b) {
+  return a.tiebreaks.findIndex((v, i) => v !== b.tiebreaks[i]);
+}
+
+// sorts results best first and gives each a rank. players level on points and on
+// every tiebreaker share a rank (tied); the lower of two players a tiebreaker
+// separated gets brokenBy, the label of the one that did it
+function rankResults(results, season, contestants) {
+  const tiebreakers = seasonTiebreakers(season);
+  for (const r of results) r.tiebreaks = tiebreakers.map(t => t.value(r, season, contestants));
+
+  results.sort((a, b) => {
+    if (a.total !== b.total) return b.total - a.total;
+    const i = firstDifference(a, b);
+    return i === -1 ? 0 : a.tiebreaks[i] > b.tiebreaks[i] ? -1 : 1;
+  });
+
+  results.forEach((r, i) => {
+    const above = results[i - 1];
+    const level = above && above.total === r.total;
+    const broken = level ? firstDifference(above, r) : -1;
+    r.rank = level && broken === -1 ? above.rank : i + 1;
+    r.brokenBy = broken !== -1 ? tiebreakers[broken].label : null;
+  });
+  for (const r of results) r.tied = results.some(o => o !== r && o.rank === r.rank);
+  return results;
+}
+
+// "T-2" for a shared rank
+function formatRank(p) {
+  return p.tied ? `T-${p.rank}` : `${p.rank}`;
+}
+
+// --- scoring engine ---
+
+// episode is how far into the season to score; defaults to the latest boot
+function computeStandings(season, contestants, picks, episode = lastEpisode(contestants, season.contestantCount)) {
+  const contestantMap = new Map();
+  for (const c of contestants) contestantMap.set(c.name, c);
+  const rules = season.scoring;
+  checkRules(rules);
+  const contestantRules = rules.filter(r => CONTESTANT_RULES[r.type]);
+  const rosterRules = rules.filter(r => ROSTER_RULES[r.type]);
+  const policy = alternatePolicy(season);
+
+  // per-rule points for a single contestant, zeros dropped
+  const scoreContestant = c => {
+    if (!c) return [];
+    return contestantRules
+      .map(rule => ({ rule, label: ruleLabel(rule), points: CONTESTANT_RULES[rule.type](rule, c, season, episode) }))
+      .filter(item => item.points !== 0);
+  };
+
+  const scorePick = c => {
+    const items = scoreContestant(c);
+    const placement = items.filter(i => i.rule.type === 'placement').reduce((sum, i) => sum + i.points, 0);
+    const total = items.reduce((sum, i) => sum + i.points, 0);
+    return { contestant: c, items, placement, bonus: total - placement, total };
+  };
+
+  const results = picks.map(player => {
+    const pickContestants = player.picks.map(name => contestantMap.get(name));
+    const altContestants = (player.alternates || []).map(name => contestantMap.get(name));
+    const pickScores = pickContestants.map(scorePick);
+    const altScores = altContestants.map(scorePick);
+
+    // swap alternates in according to the season's policy
+    const swaps = altScores.length > 0 ? policy.swaps(pickScores, altScores, player) : [];
+    const finalPicks = pickScores.map((p, i) => {
+      const swap = swaps.find(s => s.pick === i);
+      return { ...p, swappedOut: !!swap, replacedBy: swap ? altScores[swap.alt].contestant : null };
+    });
+    const activeAlts = altScores.map((p, a) => {
+      const swap = swaps.find(s => s.alt === a);
+      return { ...p, swappedIn: !!swap, replaced: swap ? pickScores[swap.pick].contestant : null };
+    });
 
     // sum active points
     let totalPoints = 0;
-    for (let i = 0; i < finalPicks.length; i++) {
-      if (finalPicks[i].swappedOut) continue;
-      totalPoints += finalPicks[i].total;
+    for (const pick of finalPicks) {
+      if (!pick.swappedOut) totalPoints += pick.total;
     }
     for (const alt of activeAlts) {
       if (alt.swappedIn) totalPoints += alt.total;
     }
 
-    // winner/runner-up bonuses
-    let winnerBonusPts = 0;
-    let runnerUpBonusPts = 0;
+    // roster-level bonuses (winner, runner-up, ...)
     const activePicks = [
       ...finalPicks.filter(p => !p.swappedOut).map(p => p.contestant),
       ...activeAlts.filter(a => a.swappedIn).map(a => a.contestant)
     ];
-
-    for (const c of activePicks) {
-      if (!c) continue;
-      if (c.placement === 1 && scoring.winnerBonus) {
-        winnerBonusPts = scoring.winnerBonus;
-      }
-      if (c.placement === 2 && scoring.runnerUpBonus) {
-        runnerUpBonusPts = scoring.runnerUpBonus;
-      }
-    }
-
-    totalPoints += winnerBonusPts + runnerUpBonusPts;
+    const bonuses = rosterRules
+      .map(rule => ({ rule, label: ruleLabel(rule), points: ROSTER_RULES[rule.type](rule, activePicks, { player, season, contestants, episode }) }))
+      .filter(b => b.points !== 0);
+    for (const b of bonuses) totalPoints += b.points;
 
     return {
       name: player.name,
       picks: finalPicks,
       alternates: activeAlts,
-      winnerBonus: winnerBonusPts,
-      runnerUpBonus: runnerUpBonusPts,
-      total: totalPoints
+      bonuses,
+      total: totalPoints,
+      finalVotesGuess: player.finalVotesGuess != null ? player.finalVotesGuess : null
     };
   });
 
-  results.sort((a, b) => b.total - a.total);
-  return results;
+  return rankResults(results, season, contestants);
+}
+
+// --- predictions ---
+
+// the weekly side game: before each episode's cutoff (season.predictions.cutoffs,
+// episode 1 first) a player guesses who goes home and, optionally, who wins
+// immunity. points per correct call default to these; season.predictions can set
+// its own, and a { "type": "predictions" } scoring rule adds them to the main total
+const PREDICTION_POINTS = { boot: 2, immunity: 1 };
+
+function predictionPoints(season) {
+  const config = season.predictions || {};
+  return {
+    boot: config.boot != null ? config.boot : PREDICTION_POINTS.boot,
+    immunity: config.immunity != null ? config.immunity : PREDICTION_POINTS.immunity
+  };
+}
+
+// the earliest episode still taking guesses, as { episode, cutoff }, or null
+function openPredictionEpisode(season, now = new Date()) {
+  const cutoffs = (season.predictions && season.predictions.cutoffs) || [];
+  const i = cutoffs.findIndex(cutoff => now < new Date(cutoff));
+  return i === -1 ? null : { episode: i + 1, cutoff: new Date(cutoffs[i]) };
+}
+
+// each guess marked once its episode has a result: the boot call is right when that
+// contestant went out that episode, the immunity call when they won it that episode.
+// hit is null while the episode is still to come (or immunity wasn't guessed)
+function scorePredictions(season, contestants, predictions, episode = lastEpisode(contestants, season.contestantCount)) {
+  const points = predictionPoints(season);
+  const byName = new Map(contestants.map(c => [c.name, c]));
+  const calls = predictions.map(p => {
+    if (p.episode > episode) return { ...p, bootHit: null, immunityHit: null, points: 0 };
+    const out = byName.get(p.boot);
+    const bootHit = !!out && out.placement !== 1 && eliminationEpisode(out, season.contestantCount) === p.episode;
+    const winner = p.immunity ? byName.get(p.immunity) : null;
+    const wins = winner && winner.bonuses && winner.bonuses.immunityWin;
+    const immunityHit = p.immunity ? Array.isArray(wins) && wins.includes(p.episode) : null;
+    return { ...p, bootHit, immunityHit, points: (bootHit ? points.boot : 0) + (immunityHit ? points.immunity : 0) };
+  });
+  return { calls, points: calls.reduce((sum, c) => sum + c.points, 0) };
+}
+
+// the prediction leaderboard, best first; players level on points share a rank
+function computePredictionStandings(season, contestants, picks) {
+  const rows = picks
+    .filter(p => p.predictions && p.predictions.length > 0)
+    .map(p => {
+      const { calls, points } = scorePredictions(season, contestants, p.predictions);
+      return {
+        name: p.name,
+        calls,
+        points,
+        boots: calls.filter(c => c.bootHit).length,
+        immunities: calls.filter(c => c.immunityHit).length,
+        decided: calls.filter(c => c.bootHit != null).length
+      };
+    })
+    .sort((a, b) => b.points - a.points || b.boots - a.boots || a.name.localeCompare(b.name));
+  for (const row of rows) {
+    row.rank = 1 + rows.filter(o => o.points > row.points).length;
+    row.tied = rows.some(o => o !== row && o.points === row.points);
+  }
+  return rows;
+}
+
+// --- standings history ---
+
+// contestants as they stood after the given episode: later boots are still
+// in the game and later bonus events haven't happened yet
+function contestantsAsOf(contestants, contestantCount, episode) {
+  return contestants.map(c => {
+    const out = eliminationEpisode(c, contestantCount);
+    const bonuses = {};
+    for (const [key, value] of Object.entries(c.bonuses || {})) {
+      // untagged counts can't be placed in time, so they apply throughout
+      bonuses[key] = Array.isArray(value) ? value.filter(e => e <= episode) : value;
+    }
+    if (out != null && out > episode) {
+      return { ...c, placement: null, method: null, jury: false, note: null, bonuses };
+    }
+    return { ...c, bonuses };
+  });
+}
+
+// latest episode with a recorded boot or bonus event
+function lastEpisode(contestants, contestantCount) {
+  let last = 0;
+  for (const c of contestants) {
+    const out = eliminationEpisode(c, contestantCount);
+    if (out != null) last = Math.max(last, out);
+    for (const value of Object.values(c.bonuses || {})) {
+      if (Array.isArray(value)) last = Math.max(last, ...value);
+    }
+  }
+  return last;
+}
+
+// standings replayed after every episode, oldest first
+function computeStandingsHistory(season, contestants, picks) {
+  const history = [];
+  const last = lastEpisode(contestants, season.contestantCount);
+  for (let episode = 1; episode <= last; episode++) {
+    const snapshot = contestantsAsOf(contestants, season.contestantCount, episode);
+    history.push({ episode, standings: computeStandings(season, snapshot, picks, episode) });
+  }
+  return history;
+}
+
+// rank change per player between the last two snapshots (positive = moved up)
+function rankMovement(history) {
+  const movement = new Map();
+  if (history.length < 2) return movement;
+  const prev = new Map(history[history.length - 2].standings.map(p => [p.name, p.rank]));
+  for (const p of history[history.length - 1].standings) {
+    if (prev.has(p.name)) movement.set(p.name, prev.get(p.name) - p.rank);
+  }
+  return movement;
+}
+
+// --- projections ---
+
+// monte carlo over the remaining boots: every contestant still in the game is
+// equally likely to go home next, and future bonus events aren't guessed at
+const PROJECTION_RUNS = 1000;
+const PROJECTION_SEED = 49;
+
+// small seeded prng (mulberry32) so re-renders and what-ifs share the same draws
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// one possible ending: shuffle who's left into the open placements, one boot per episode
+function simulateFinish(season, contestants, random) {
+  const remaining = contestants.filter(c => c.placement == null);
+  const order = [...remaining];
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const finalists = season.finalists || 3;
+  const jurySize = season.jurySize || 8;
+  const start = lastEpisode(contestants, season.contestantCount);
+  const finale = start + Math.max(1, order.length - finalists + 1);
+  const outcome = new Map();
+  order.forEach((c, i) => {
+    const placement = order.length - i;
+    const isFinal = placement <= finalists;
+    outcome.set(c.name, {
+      ...c,
+      placement,
+      method: placement === 1 ? 'winner' : isFinal ? 'runner-up' : 'voted out',
+      jury: !isFinal && placement <= finalists + jurySize,
+      episode: isFinal ? finale : start + i + 1
+    });
+  });
+  return contestants.map(c => outcome.get(c.name) || c);
+}
+
+// win probability and expected final score per player
+function projectStandings(season, contestants, picks, runs = PROJECTION_RUNS) {
+  const random = seededRandom(PROJECTION_SEED);
+  const totals = new Map(picks.map(p => [p.name, { wins: 0, points: 0 }]));
+
+  for (let run = 0; run < runs; run++) {
+    const standings = computeStandings(season, simulateFinish(season, contestants, random), picks);
+    const leaders = standings.filter(p => p.rank === 1);
+    for (const p of standings) {
+      const t = totals.get(p.name);
+      t.points += p.total;
+      if (p.rank === 1) t.wins += 1 / leaders.length; // unbroken ties split the win
+    }
+  }
+
+  const projection = new Map();
+  for (const [name, t] of totals) {
+    projection.set(name, { winProbability: t.wins / runs, expectedTotal: t.points / runs });
+  }
+  return projection;
+}
+
+// the season as if this contestant were the next one voted out
+function eliminateNext(season, contestants, name) {
+  const remaining = contestants.filter(c => c.placement == null).length;
+  const episode = lastEpisode(contestants, season.contestantCount) + 1;
+  const jury = remaining <= (season.finalists || 3) + (season.jurySize || 8);
+  return contestants.map(c => c.name === name ? { ...c, placement: remaining, method: 'voted out', jury, episode } : c);
+}
+
+// --- careers ---
+
+// standings for every completed season the league played, oldest first; seasons
+// nobody picked in are left out
+async function loadCompletedSeasons(leagueId) {
+  const { seasons } = await loadLeague(leagueId);
+  const loaded = await Promise.all(seasons.filter(s => s.status === 'completed').map(s => loadSeasonData(s.id, leagueId)));
+  return loaded
+    .filter(({ picks }) => picks.length > 0)
+    .map(({ season, contestants, picks }) => ({ season, contestants, standings: computeStandings(season, contestants, picks) }));
+}
+
+// each player's record across those seasons, best first. players the season's
+// tiebreakers couldn't separate share a finish, so two people can win the same season
+function computeCareers(seasonResults) {
+  const careers = new Map();
+  for (const { season, contestants, standings } of seasonResults) {
+    const winner = contestants.find(c => c.placement === 1);
+    for (const p of standings) {
+      const roster = [...p.picks, ...p.alternates].map(pick => pick.contestant);
+      if (!careers.has(p.name)) careers.set(p.name, { name: p.name, seasons: [] });
+      careers.get(p.name).seasons.push({
+        season,
+        finish: p.rank,
+        of: standings.length,
+        total: p.total,
+        pickedWinner: !!winner && roster.includes(winner)
+      });
+    }
+  }
+
+  return Array.from(careers.values(), career => {
+    const { seasons } = career;
+    return {
+      ...career,
+      titles: seasons.filter(s => s.finish === 1).length,
+      podiums: seasons.filter(s => s.finish <= 3).length,
+      averageFinish: seasons.reduce((sum, s) => sum + s.finish, 0) / seasons.length,
+      totalPoints: seasons.reduce((sum, s) => sum + s.total, 0),
+      best: seasons.reduce((a, b) => b.finish < a.finish || (b.finish === a.finish && b.total > a.total) ? b : a),
+      winnerPicks: seasons.filter(s => s.pickedWinner).length
+    };
+  }).sort((a, b) => b.titles - a.titles || b.podiums - a.podiums || a.averageFinish - b.averageFinish || b.totalPoints - a.totalPoints);
+}
+
+// --- head to head ---
+
+// one side of a matchup: points from picks the other side doesn't share, what the
+// alternate swaps gained or lost, and roster bonuses. shared picks score the same
+// for both, so the gap between two players is exactly the sum of these three
+function matchupSide(result, other) {
+  const otherPicks = new Set(other.picks.map(p => p.contestant));
+  const unique = result.picks.filter(p => !otherPicks.has(p.contestant));
+  const swaps = result.alternates.filter(a => a.swappedIn).map(a => {
+    const replaced = result.picks.find(p => p.contestant === a.replaced);
+    return { alt: a, replaced, net: a.total - replaced.total };
+  });
+  const bonus = result.bonuses.reduce((sum, b) => sum + b.points, 0);
+  return {
+    result,
+    unique,
+    uniquePoints: unique.reduce((sum, p) => sum + p.total, 0),
+    swaps,
+    swapPoints: swaps.reduce((sum, s) => sum + s.net, 0),
+    bonus
+  };
+}
+
+// shared picks, both sides, and the contestants still in the game whose win would
+// move the gap the most (everything else held where it is)
+function compareRosters(season, contestants, picks, nameA, nameB) {
+  const pair = [nameA, nameB].map(name => picks.find(p => p.name === name));
+  const episode = lastEpisode(contestants, season.contestantCount);
+  const score = cast => {
+    const standings = computeStandings(season, cast, pair, episode);
+    return standings.find(r => r.name === nameA).total - standings.find(r => r.name === nameB).total;
+  };
+
+  const standings = computeStandings(season, contestants, pair, episode);
+  const a = standings.find(r => r.name === nameA);
+  const b = standings.find(r => r.name === nameB);
+  const bPicks = new Set(b.picks.map(p => p.contestant));
+  const gap = a.total - b.total;
+
+  const swings = contestants
+    .filter(c => c.placement == null)
+    .map(c => {
+      const delta = score(contestants.map(x => x === c ? { ...x, placement: 1, method: 'winner' } : x)) - gap;
+      return { contestant: c, delta, after: gap + delta };
+    })
+    .filter(s => s.delta !== 0)
+    .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+
+  return {
+    gap,
+    shared: a.picks.filter(p => bPicks.has(p.contestant)),
+    a: matchupSide(a, b),
+    b: matchupSide(b, a),
+    swings
+  };
+}
+
+function formatPercent(p) {
+  if (p > 0 && p < 0.005) return '<1%';
+  return `${Math.round(p * 100)}%`;
 }
 
 // --- routing ---
 
 function getRoute() {
   const hash = location.hash.slice(1) || '/';
-  const parts = hash.split('/').filter(Boolean);
-  if (parts.length === 0) return { view: 'home' };
-  if (parts[0] === 'submit') return { view: 'submit' };
-  if (parts[0] === 'history') return { view: 'history' };
+  let parts = hash.split('/').filter(Boolean);
+
+  // #/league/:id/... scopes the rest of the route to that league
+  let league = DEFAULT_LEAGUE;
+  if (parts[0] === 'league' && parts[1]) {
+    league = decodeURIComponent(parts[1]);
+    parts = parts.slice(2);
+  }
+
+  if (parts.length === 0) return { view: 'home', league };
+  if (parts[0] === 'submit') return { view: 'submit', league, player: parts[1] ? decodeURIComponent(parts[1]) : null };
+  if (parts[0] === 'predict') return { view: 'predict', league };
+  if (parts[0] === 'history') return { view: 'history', league };
+  if (parts[0] === 'player' && parts[1]) return { view: 'career', league, player: decodeURIComponent(parts[1]) };
+  if (parts[0] === 'draft') return { view: 'draft', league };
+  if (parts[0] === 'admin') return { view: 'admin', league };
   if (parts[0] === 'season' && parts[1]) {
-    if (parts[2]) return { view: 'player', seasonId: parts[1], player: decodeURIComponent(parts[2]) };
-    return { view: 'season', seasonId: parts[1] };
+    if (parts[2] === 'compare' && parts[3] && parts[4]) {
+      return { view: 'compare', league, seasonId: parts[1], players: [decodeURIComponent(parts[3]), decodeURIComponent(parts[4])] };
+    }
+    if (parts[2] === 'contestant' && parts[3]) return { view: 'contestant', league, seasonId: parts[1], contestant: decodeURIComponent(parts[3]) };
+    if (parts[2]) return { view: 'player', league, seasonId: parts[1], player: decodeURIComponent(parts[2]) };
+    return { view: 'season', league, seasonId: parts[1] };
   }
-  return { view: 'home' };
+  return { view: 'home', league };
 }
 
 async function router() {
@@ -191,11 +989,17 @@ async function router() {
 
   try {
     switch (route.view) {
-      case 'home': await renderHome(app); break;
-      case 'submit': await renderSubmit(app); break;
-      case 'season': await renderSeason(app, route.seasonId); break;
-      case 'player': await renderPlayer(app, route.seasonId, route.player); break;
-      case 'history': await renderHistory(app); break;
+      case 'home': await renderHome(app, route.league); break;
+      case 'submit': await renderSubmit(app, route.player, route.league); break;
+      case 'predict': await renderPredict(app, route.league); break;
+      case 'season': await renderSeason(app, route.seasonId, route.league); break;
+      case 'player': await renderPlayer(app, route.seasonId, route.player, route.league); break;
+      case 'contestant': await renderContestant(app, route.seasonId, route.contestant, route.league); break;
+      case 'compare': await renderCompare(app, route.seasonId, route.players, route.league); break;
+      case 'history': await renderHistory(app, route.league); break;
+      case 'career': await renderCareer(app, route.player, route.league); break;
+      case 'draft': await renderDraft(app, route.league); break;
+      case 'admin': await renderAdmin(app, route.league); break;
       default: app.innerHTML = '<p>not found</p>';
     }
   } catch (e) {
@@ -206,27 +1010,34 @@ async function router() {
 
 // --- views ---
 
-async function renderHome(app) {
-  const seasons = await loadSeasons();
+async function renderHome(app, leagueId = DEFAULT_LEAGUE) {
+  const { seasons } = await loadLeague(leagueId);
   const active = seasons.find(s => s.status === 'active');
   if (active) {
-    await renderSeason(app, active.id);
+    await renderSeason(app, active.id, leagueId);
     return;
   }
   // no active season — show latest completed
   const completed = seasons.filter(s => s.status === 'completed');
   if (completed.length > 0) {
     const latest = completed[completed.length - 1];
-    await renderSeason(app, latest.id);
+    await renderSeason(app, latest.id, leagueId);
     return;
   }
   app.innerHTML = '<p>no seasons found</p>';
 }
 
-async function renderSeason(app, seasonId) {
-  const { season, contestants, picks } = await loadSeasonData(seasonId);
+async function renderSeason(app, seasonId, leagueId = DEFAULT_LEAGUE) {
+  const { league, leagues, seasons } = await loadLeague(leagueId);
+  const { season, contestants, picks, sealed } = await loadSeasonData(seasonId, leagueId);
   const standings = computeStandings(season, contestants, picks);
-  const seasons = await loadSeasons();
+  const history = computeStandingsHistory(season, contestants, picks);
+  const movement = rankMovement(history);
+  const base = leagueBase(leagueId);
+  const stillPlaying = contestants.filter(c => c.placement == null).length;
+  const projection = season.status === 'active' && picks.length > 0 && stillPlaying > 1
+    ? projectStandings(season, contestants, picks)
+    : null;
 
   const isActive = season.status === 'active';
   const now = new Date();
@@ -235,16 +1046,27 @@ async function renderSeason(app, seasonId) {
 
   let html = '';
 
+  // league switcher, only once there's more than one pool
+  if (leagues.length > 1) {
+    html += `<nav class="league-nav">`;
+    for (const l of leagues) {
+      const cls = l.id === leagueId ? 'active' : '';
+      html += `<a href="${leagueBase(l.id)}/" class="${cls}">${l.name}</a>`;
+    }
+    html += `</nav>`;
+  }
+
   // nav
   html += `<nav class="season-nav">`;
   for (const s of seasons) {
     const cls = s.id === seasonId ? 'active' : '';
-    html += `<a href="#/season/${s.id}" class="${cls}">${s.name}</a>`;
+    html += `<a href="${base}/season/${s.id}" class="${cls}">${s.name}</a>`;
   }
-  html += `<a href="#/history" class="history-link">history</a>`;
+  html += `<a href="${base}/history" class="history-link">history</a>`;
   html += `</nav>`;
 
   html += `<h1>${season.name}</h1>`;
+  if (leagues.length > 1) html += `<p class="league-name">${league.name}</p>`;
   if (isActive) {
     const eliminated = contestants.filter(c => c.placement != null).length;
     const remaining = season.contestantCount - eliminated;
@@ -258,18 +1080,23 @@ async function renderSeason(app, seasonId) {
   }
 
   // submit callout (active season, submissions open, no picks yet)
-  if (submissionsOpen) {
-    html += `<div class="submit-callout"><a href="#/submit">submit your picks for ${season.name} &rarr;</a>`;
+  if (isActive && league.draft) {
+    html += `<div class="submit-callout"><a href="${base}/draft">join the live draft for ${season.name} &rarr;</a></div>`;
+  } else if (submissionsOpen) {
+    html += `<div class="submit-callout"><a href="${base}/submit">submit your picks for ${season.name} &rarr;</a>`;
     if (deadline) {
-      const deadlineStr = deadline.toLocaleDateString('en-us', { weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
-      html += `<span class="deadline-note">deadline: ${deadlineStr}</span>`;
+      html += `<span class="deadline-note">deadline: ${formatDeadline(deadline)}</span>`;
+    }
+    for (const name of Object.keys(loadEditTokens(poolKey(seasonId, leagueId)))) {
+      html += `<a href="${base}/submit/${encodeURIComponent(name)}" class="edit-link">edit ${name}'s picks &rarr;</a>`;
     }
     html += `</div>`;
   }
 
   // winner callout (completed seasons)
   if (season.status === 'completed' && standings.length > 0) {
-    const winner = standings[0];
+    const winners = standings.filter(p => p.rank === 1);
+    const label = winners.length > 1 ? 'draft co-champions' : 'draft winner';
     html += `
       <div class="winner-callout">
         <span class="corner tl"></span>
@@ -277,39 +1104,99 @@ async function renderSeason(app, seasonId) {
         <span class="corner bl"></span>
         <span class="corner br"></span>
         <div class="trophy">&#x1F3C6;</div>
-        <span class="winner-label">draft winner</span>
-        <span class="winner-name-callout">${winner.name} &mdash; ${winner.total} pts</span>
+        <span class="winner-label">${label}</span>
+        <span class="winner-name-callout">${winners.map(p => p.name).join(' &amp; ')} &mdash; ${winners[0].total} pts</span>
       </div>`;
   }
 
   // standings table
   html += `<section><h2>standings</h2>`;
-  if (picks.length > 0) {
+  if (sealed) {
+    html += renderSealedPicks(sealed);
+    scheduleReveal(poolKey(seasonId, leagueId), sealed.deadline);
+  } else if (picks.length > 0) {
     html += `<table class="standings"><thead><tr>
-      <th class="rank-col">#</th><th>player</th><th class="pts-col">pts</th>
+      <th class="rank-col">#</th><th>player</th><th class="move-col"></th>
+      ${projection ? `<th class="proj-col" title="chance of winning">win</th><th class="proj-col" title="expected final score">proj</th>` : ''}
+      <th class="pts-col">pts</th>
     </tr></thead><tbody>`;
-    standings.forEach((p, i) => {
-      const cls = i === 0 ? 'first-place' : '';
+    for (const p of standings) {
+      const cls = p.rank === 1 ? 'first-place' : '';
+      const proj = projection && projection.get(p.name);
       html += `<tr class="${cls}">
-        <td>${i + 1}</td>
-        <td><a href="#/season/${seasonId}/${encodeURIComponent(p.name)}">${p.name}</a></td>
+        <td>${formatRank(p)}</td>
+        <td><a href="${base}/season/${seasonId}/${encodeURIComponent(p.name)}">${p.name}</a></td>
+        <td class="move-col">${movementMarker(movement.get(p.name))}</td>
+        ${proj ? `<td class="proj-col">${formatPercent(proj.winProbability)}</td><td class="proj-col">${Math.round(proj.expectedTotal)}</td>` : ''}
         <td>${p.total}</td>
       </tr>`;
-    });
+    }
     html += `</tbody></table>`;
+    standings.forEach((p, i) => {
+      if (!p.brokenBy) return;
+      const above = standings[i - 1];
+      html += `<p class="section-note tiebreak-note">${above.name} and ${p.name} ${season.status === 'completed' ? 'finished' : 'are'} level on ${p.total}; ${above.name} goes ahead on ${p.brokenBy}.</p>`;
+    });
+    if (standings.length > 1) {
+      const [first, second] = standings;
+      html += `<p class="compare-link"><a href="${base}/season/${seasonId}/compare/${encodeURIComponent(first.name)}/${encodeURIComponent(second.name)}">${first.name} vs ${second.name} head to head &rarr;</a></p>`;
+    }
+    if (projection) {
+      html += `<p class="section-note">win chances and projected scores come from ${PROJECTION_RUNS.toLocaleString()} simulated endings, treating everyone still in the game as equally likely to go home next.</p>`;
+    }
   } else {
     html += `<p class="section-note">no picks submitted yet.</p>`;
   }
   html += `</section>`;
 
+  // the weekly prediction game
+  const predictionStandings = computePredictionStandings(season, contestants, picks);
+  const openEpisode = isActive ? openPredictionEpisode(season, now) : null;
+  if (openEpisode || predictionStandings.length > 0) {
+    const points = predictionPoints(season);
+    html += `<section><h2>predictions</h2>`;
+    if (openEpisode) {
+      html += `<div class="submit-callout"><a href="${base}/predict">who goes home in episode ${openEpisode.episode}? &rarr;</a>`;
+      html += `<span class="deadline-note">guesses close ${formatDeadline(openEpisode.cutoff)}</span></div>`;
+    }
+    if (predictionStandings.length > 0) {
+      html += `<table class="standings prediction-table"><thead><tr>
+        <th class="rank-col">#</th><th>player</th><th class="stat-col" title="boots called">boots</th><th class="stat-col" title="immunity wins called">immunity</th><th class="pts-col">pts</th>
+      </tr></thead><tbody>`;
+      for (const p of predictionStandings) {
+        html += `<tr class="${p.rank === 1 ? 'first-place' : ''}">
+          <td>${formatRank(p)}</td>
+          <td><a href="${base}/season/${seasonId}/${encodeURIComponent(p.name)}">${p.name}</a></td>
+          <td class="stat-col">${p.boots}/${p.decided}</td>
+          <td class="stat-col">${p.immunities}</td>
+          <td>${p.points}</td>
+        </tr>`;
+      }
+      html += `</tbody></table>`;
+    }
+    const folded = season.scoring.some(r => r.type === 'predictions');
+    html += `<p class="section-note">${signed(points.boot)} for calling the boot, ${signed(points.immunity)} for calling immunity. ${folded ? 'prediction points count toward the standings above.' : 'kept separate from the standings above.'} guesses stay hidden until each episode's cutoff.</p>`;
+    html += `</section>`;
+  }
+
+  // points over time
+  if (picks.length > 0 && history.length > 1) {
+    const tagged = contestants.every(c => c.placement == null || c.episode != null);
+    html += `<section><h2>points over time</h2>`;
+    if (!tagged) html += `<p class="section-note">episodes aren't recorded for this season, so each step is one boot.</p>`;
+    html += pointsChart(history, tagged ? 'ep' : 'boot');
+    html += `</section>`;
+  }
+
   // picks grid
   if (picks.length > 0) {
     /* only show grid when there are picks */
     html += `<section><h2>draft picks</h2>`;
-    html += `<p class="section-note">alternates replace your earliest-eliminated pick if beneficial.</p>`;
+    html += `<p class="section-note">${alternatePolicy(season).note}</p>`;
     html += `<div class="picks-scroll"><table class="picks"><thead><tr><th>player</th>`;
     for (let i = 0; i < season.picksPerPlayer; i++) html += `<th>pick ${i + 1}</th>`;
-    html += `<th class="alt-col">alt</th></tr></thead><tbody>`;
+    for (let i = 0; i < season.alternates; i++) html += `<th class="alt-col">alt</th>`;
+    html += `</tr></thead><tbody>`;
 
     for (const result of standings) {
       html += `<tr><td class="player-name">${result.name}</td>`;
@@ -321,32 +1208,69 @@ async function renderSeason(app, seasonId) {
         else if (c && c.placement === 1) cls += ' winner';
         else if (c && c.placement === 2) cls += ' runner-up';
         else if (c && c.placement != null && !c.jury) cls += ' pre-jury';
-        html += `<td><span class="${cls}">${thumbnail(c)}${name}`;
-        if (c && c.placement != null) html += ` <span class="pts">(${pick.total})</span>`;
-        html += `</span></td>`;
+        html += `<td>${contestantLink(c, base, seasonId, `${thumbnail(c)}${name}${c && c.placement != null ? ` <span class="pts">(${pick.total})</span>` : ''}`, cls)}</td>`;
       }
       for (const alt of result.alternates) {
         const c = alt.contestant;
         const name = c ? c.name.split(' ')[0] : '?';
         let cls = 'pick';
         if (alt.swappedIn) cls += ' swapped-in';
-        html += `<td class="alt-col"><span class="${cls}">${thumbnail(c)}${name}`;
-        if (c && c.placement != null) html += ` <span class="pts">(${alt.total})</span>`;
-        html += `</span></td>`;
+        html += `<td class="alt-col">${contestantLink(c, base, seasonId, `${thumbnail(c)}${name}${c && c.placement != null ? ` <span class="pts">(${alt.total})</span>` : ''}`, cls)}</td>`;
       }
       html += `</tr>`;
     }
     html += `</tbody></table></div></section>`;
   }
 
+  // pick analytics, once the rosters are out in the open
+  if (!sealed && picks.length > 1) {
+    const analytics = computePickAnalytics(standings, contestants);
+    html += `<section><h2>pick popularity</h2>`;
+    html += `<table class="standings popularity-table"><thead><tr><th>contestant</th><th class="stat-col">picks</th><th class="stat-col">alts</th><th class="pts-col">share</th></tr></thead><tbody>`;
+    for (const p of analytics.popularity) {
+      const share = p.picks / picks.length;
+      html += `<tr>
+        <td>${contestantLink(p.contestant, base, seasonId, `${thumbnail(p.contestant)}${p.contestant.name}`)}</td>
+        <td class="stat-col">${p.picks}</td>
+        <td class="stat-col">${p.alternates || ''}</td>
+        <td><span class="share-bar"><span style="width: ${Math.round(share * 100)}%"></span></span></td>
+      </tr>`;
+    }
+    html += `</tbody></table>`;
+    if (analytics.untaken.length > 0) {
+      html += `<p class="section-note">nobody took ${analytics.untaken.map(c => contestantLink(c, base, seasonId, c.name)).join(', ')}.</p>`;
+    }
+    html += `</section>`;
+
+    const showTribes = analytics.players.some(p => Object.keys(p.tribes).length > 0);
+    html += `<section><h2>roster profiles</h2>`;
+    html += `<div class="picks-scroll"><table class="standings profile-table"><thead><tr>
+      <th>player</th><th class="stat-col" title="how far the picks stray from everyone else's, 0-100">contrarian</th>
+      <th class="stat-col" title="points from picks on more than half the rosters">chalk</th><th class="stat-col" title="points from the rest">leverage</th>
+      <th>only them</th>${showTribes ? '<th>tribes</th>' : ''}
+    </tr></thead><tbody>`;
+    for (const p of [...analytics.players].sort((a, b) => b.contrarian - a.contrarian)) {
+      const tribes = Object.entries(p.tribes).sort((a, b) => b[1] - a[1])
+        .map(([tribe, n]) => `<span class="tribe-count tribe-${tribe}">${tribe} ${n}</span>`).join(' ');
+      html += `<tr>
+        <td><a href="${base}/season/${seasonId}/${encodeURIComponent(p.name)}">${p.name}</a></td>
+        <td class="stat-col">${p.contrarian}</td>
+        <td class="stat-col">${p.chalk}</td>
+        <td class="stat-col">${p.leverage}</td>
+        <td class="unique-col">${p.unique.map(c => contestantLink(c, base, seasonId)).join(', ') || '&mdash;'}</td>
+        ${showTribes ? `<td class="unique-col">${tribes}</td>` : ''}
+      </tr>`;
+    }
+    html += `</tbody></table></div>`;
+    html += `<p class="section-note">contrarian runs from 0 (every pick on every other roster) to 100 (no pick shared). chalk is points from picks more than half the rosters made, leverage the points from everything else, both counting only who's actually scoring after alternate swaps (roster bonuses aside).</p>`;
+    html += `</section>`;
+  }
+
   // scoring rules
   html += `<section><h2>scoring</h2><div class="scoring-rules">`;
-  html += `<p><b>placement points</b> &mdash; each pick earns points based on how far they got. winner = ${season.contestantCount} pts, first out = 1 pt.</p>`;
-  html += `<p><b>alternate swap</b> &mdash; your alternate replaces your earliest-eliminated pick, but only if it's an upgrade.</p>`;
-  html += `<p><b>bonuses</b> &mdash; +${season.scoring.winnerBonus} for picking the winner. +${season.scoring.runnerUpBonus} for picking the runner-up.</p>`;
-  if (season.scoring.immunityWin) {
-    html += `<p><b>gameplay</b> &mdash; +${season.scoring.immunityWin}/immunity win, +${season.scoring.idolFound}/idol found, +${season.scoring.idolPlayed}/idol played.</p>`;
-  }
+  const ruleLines = describeScoring(season);
+  ruleLines.splice(1, 0, `<b>alternate swap</b> &mdash; ${alternatePolicy(season).rule}`);
+  for (const line of ruleLines) html += `<p>${line}</p>`;
   html += `</div></section>`;
 
   // score breakdowns
@@ -362,9 +1286,9 @@ async function renderSeason(app, seasonId) {
         const c = pick.contestant;
         if (!c) continue;
         const placementStr = c.placement != null ? ordinal(c.placement) : 'active';
-        const calc = pick.swappedOut ? '&larr; swapped out' : '';
+        const calc = pick.swappedOut ? `&larr; swapped out for ${firstName(pick.replacedBy)}` : '';
         const pts = pick.swappedOut ? `<s>${pick.total}</s>` : pick.total;
-        html += `<tr><td>${thumbnail(c)}${c.name.split(' ')[0]} (${placementStr})</td><td class="calc">${calc}</td><td class="bp">${pts}</td></tr>`;
+        html += `<tr><td>${contestantLink(c, base, seasonId, `${thumbnail(c)}${firstName(c)}`)} (${placementStr})</td><td class="calc">${calc}</td><td class="bp">${pts}</td></tr>`;
       }
 
       for (const alt of result.alternates) {
@@ -372,17 +1296,14 @@ async function renderSeason(app, seasonId) {
         if (!c) continue;
         const placementStr = c.placement != null ? ordinal(c.placement) : 'active';
         if (alt.swappedIn) {
-          html += `<tr><td>${thumbnail(c)}${c.name.split(' ')[0]} (${placementStr})</td><td class="calc">&larr; swapped in</td><td class="bp">${alt.total}</td></tr>`;
+          html += `<tr><td>${contestantLink(c, base, seasonId, `${thumbnail(c)}${firstName(c)}`)} (${placementStr})</td><td class="calc">&larr; swapped in for ${firstName(alt.replaced)}</td><td class="bp">${alt.total}</td></tr>`;
         } else {
-          html += `<tr class="bonus-row"><td colspan="2">alt ${thumbnail(c)}${c.name.split(' ')[0]} (${placementStr}) not used</td><td class="bp">&mdash;</td></tr>`;
+          html += `<tr class="bonus-row"><td colspan="2">alt ${contestantLink(c, base, seasonId, `${thumbnail(c)}${firstName(c)}`)} (${placementStr}) not used</td><td class="bp">&mdash;</td></tr>`;
         }
       }
 
-      if (result.winnerBonus > 0) {
-        html += `<tr class="bonus-row"><td colspan="2">winner bonus</td><td class="bp">+${result.winnerBonus}</td></tr>`;
-      }
-      if (result.runnerUpBonus > 0) {
-        html += `<tr class="bonus-row"><td colspan="2">runner-up bonus</td><td class="bp">+${result.runnerUpBonus}</td></tr>`;
+      for (const b of result.bonuses) {
+        html += `<tr class="bonus-row"><td colspan="2">${b.label} bonus</td><td class="bp">${signed(b.points)}</td></tr>`;
       }
       html += `<tr class="total-row"><td colspan="2">total</td><td class="bp">${result.total}</td></tr>`;
       html += `</table></div>`;
@@ -416,7 +1337,7 @@ async function renderSeason(app, seasonId) {
 
       html += `<li class="${liClass}">
         <span class="placement">${ordinal(c.placement)}</span>
-        <span class="${contClass}">${c.name}</span>
+        ${contestantLink(c, base, seasonId, c.name, contClass)}
         <span class="note">${c.note || c.method || ''}</span>
       </li>`;
     }
@@ -426,18 +1347,25 @@ async function renderSeason(app, seasonId) {
   app.innerHTML = html;
 }
 
-async function renderPlayer(app, seasonId, playerName) {
-  const { season, contestants, picks } = await loadSeasonData(seasonId);
+async function renderPlayer(app, seasonId, playerName, leagueId = DEFAULT_LEAGUE) {
+  const { season, contestants, picks } = await loadSeasonData(seasonId, leagueId);
   const standings = computeStandings(season, contestants, picks);
   const result = standings.find(p => p.name === playerName);
+  const base = leagueBase(leagueId);
   if (!result) {
-    app.innerHTML = `<a href="#/season/${seasonId}" class="back">&larr; back to ${season.name}</a><p>player "${playerName}" not found</p>`;
+    app.innerHTML = `<a href="${base}/season/${seasonId}" class="back">&larr; back to ${season.name}</a><p>player "${playerName}" not found</p>`;
     return;
   }
 
-  let html = `<a href="#/season/${seasonId}" class="back">&larr; back to ${season.name}</a>`;
+  let html = `<a href="${base}/season/${seasonId}" class="back">&larr; back to ${season.name}</a>`;
   html += `<h1>${result.name}</h1>`;
   html += `<p class="subtitle">${result.total} points &mdash; ${season.name}</p>`;
+  html += `<p class="career-link"><a href="${base}/player/${encodeURIComponent(result.name)}">${result.name}'s career &rarr;</a></p>`;
+  const rivals = standings.filter(p => p.name !== result.name);
+  if (rivals.length > 0) {
+    const compareHref = p => `${base}/season/${seasonId}/compare/${encodeURIComponent(result.name)}/${encodeURIComponent(p.name)}`;
+    html += `<p class="compare-link">compare with ${rivals.map(p => `<a href="${compareHref(p)}">${p.name}</a>`).join(' &middot; ')}</p>`;
+  }
 
   html += `<section><h2>breakdown</h2>`;
   html += `<div class="breakdown"><div class="breakdown-header">${result.name} &mdash; ${result.total}</div>`;
@@ -447,10 +1375,12 @@ async function renderPlayer(app, seasonId, playerName) {
     const c = pick.contestant;
     if (!c) continue;
     const placementStr = c.placement != null ? ordinal(c.placement) : 'active';
-    const calc = pick.swappedOut ? '&larr; swapped out' : '';
-    html += `<tr><td>${thumbnail(c)}${c.name} (${placementStr})</td><td class="calc">${calc}</td><td class="bp">${pick.swappedOut ? `<s>${pick.total}</s>` : pick.total}</td></tr>`;
-    if (pick.bonus > 0 && !pick.swappedOut) {
-      html += `<tr class="bonus-row"><td colspan="2">&nbsp;&nbsp;gameplay bonuses</td><td class="bp">+${pick.bonus}</td></tr>`;
+    const calc = pick.swappedOut ? `&larr; swapped out for ${firstName(pick.replacedBy)}` : '';
+    html += `<tr><td>${contestantLink(c, base, seasonId, `${thumbnail(c)}${c.name}`)} (${placementStr})</td><td class="calc">${calc}</td><td class="bp">${pick.swappedOut ? `<s>${pick.total}</s>` : pick.total}</td></tr>`;
+    if (!pick.swappedOut) {
+      for (const item of pick.items.filter(i => i.rule.type !== 'placement')) {
+        html += `<tr class="bonus-row"><td colspan="2">&nbsp;&nbsp;${item.label}</td><td class="bp">${signed(item.points)}</td></tr>`;
+      }
     }
   }
   for (const alt of result.alternates) {
@@ -458,115 +1388,476 @@ async function renderPlayer(app, seasonId, playerName) {
     if (!c) continue;
     const placementStr = c.placement != null ? ordinal(c.placement) : 'active';
     if (alt.swappedIn) {
-      html += `<tr><td>${thumbnail(c)}${c.name} (${placementStr})</td><td class="calc">&larr; swapped in</td><td class="bp">${alt.total}</td></tr>`;
+      html += `<tr><td>${contestantLink(c, base, seasonId, `${thumbnail(c)}${c.name}`)} (${placementStr})</td><td class="calc">&larr; swapped in for ${firstName(alt.replaced)}</td><td class="bp">${alt.total}</td></tr>`;
     } else {
-      html += `<tr class="bonus-row"><td colspan="2">alt ${thumbnail(c)}${c.name} not used</td><td class="bp">&mdash;</td></tr>`;
+      html += `<tr class="bonus-row"><td colspan="2">alt ${contestantLink(c, base, seasonId, `${thumbnail(c)}${c.name}`)} not used</td><td class="bp">&mdash;</td></tr>`;
     }
   }
-  if (result.winnerBonus > 0) html += `<tr class="bonus-row"><td colspan="2">winner bonus</td><td class="bp">+${result.winnerBonus}</td></tr>`;
-  if (result.runnerUpBonus > 0) html += `<tr class="bonus-row"><td colspan="2">runner-up bonus</td><td class="bp">+${result.runnerUpBonus}</td></tr>`;
+  for (const b of result.bonuses) html += `<tr class="bonus-row"><td colspan="2">${b.label} bonus</td><td class="bp">${signed(b.points)}</td></tr>`;
   html += `<tr class="total-row"><td colspan="2">total</td><td class="bp">${result.total}</td></tr>`;
   html += `</table></div></section>`;
 
+  const player = picks.find(p => p.name === playerName);
+  if (player.predictions && player.predictions.length > 0) {
+    const { calls, points } = scorePredictions(season, contestants, player.predictions);
+    html += `<section><h2>predictions</h2>`;
+    html += `<table class="standings prediction-calls"><thead><tr><th>ep</th><th>goes home</th><th>immunity</th><th class="pts-col">pts</th></tr></thead><tbody>`;
+    const byName = new Map(contestants.map(c => [c.name, c]));
+    const call = (name, hit) => {
+      if (!name) return '&mdash;';
+      const c = byName.get(name);
+      const label = c ? contestantLink(c, base, seasonId, c.name) : name;
+      return `<span class="call ${hit == null ? 'pending' : hit ? 'hit' : 'miss'}">${label}</span>`;
+    };
+    for (const c of calls) {
+      html += `<tr><td>${c.episode}</td><td>${call(c.boot, c.bootHit)}</td><td>${call(c.immunity, c.immunityHit)}</td><td>${c.bootHit == null ? '&mdash;' : c.points}</td></tr>`;
+    }
+    html += `</tbody></table>`;
+    html += `<p class="section-note">${points} prediction point${points === 1 ? '' : 's'}${season.scoring.some(r => r.type === 'predictions') ? ', counted in the total above' : ''}.</p>`;
+    html += `</section>`;
+  }
+
+  // projection with a "what if X goes home next" toggle
+  const remaining = contestants.filter(c => c.placement == null);
+  const projecting = season.status === 'active' && remaining.length > 1;
+  if (projecting) {
+    html += `<section><h2>projection</h2>`;
+    html += `<div class="form-field"><label for="what-if">what if&hellip;</label><select id="what-if"><option value="">nobody in particular</option>`;
+    for (const c of remaining) html += `<option value="${c.name}">${c.name} goes home next</option>`;
+    html += `</select></div>`;
+    html += `<div id="projection"></div>`;
+    html += `</section>`;
+  }
+
   app.innerHTML = html;
-}
 
-async function renderHistory(app) {
-  const seasons = await loadSeasons();
-  let html = `<a href="#/" class="back">&larr; back</a>`;
-  html += `<h1>past seasons</h1>`;
+  if (projecting) {
+    const baseline = projectStandings(season, contestants, picks).get(result.name);
+    const target = document.getElementById('projection');
+    const showProjection = bootName => {
+      const proj = bootName
+        ? projectStandings(season, eliminateNext(season, contestants, bootName), picks).get(result.name)
+        : baseline;
+      const delta = proj.winProbability - baseline.winProbability;
+      let out = `<table class="breakdown-table projection-table">`;
+      out += `<tr><td>chance of winning</td><td class="bp">${formatPercent(proj.winProbability)}</td></tr>`;
+      if (bootName) {
+        const dir = delta >= 0 ? 'up' : 'down';
+        out += `<tr class="bonus-row"><td>&nbsp;&nbsp;change</td><td class="bp"><span class="move ${dir}">${delta >= 0 ? '&#9650;' : '&#9660;'}${Math.abs(Math.round(delta * 100))}%</span></td></tr>`;
+      }
+      out += `<tr><td>projected final score</td><td class="bp">${Math.round(proj.expectedTotal)}</td></tr>`;
+      out += `</table>`;
+      target.innerHTML = out;
+    };
+    showProjection('');
+    document.getElementById('what-if').addEventListener('change', e => showProjection(e.target.value));
+  }
+}
+
+async function renderCompare(app, seasonId, [nameA, nameB], leagueId = DEFAULT_LEAGUE) {
+  const { season, contestants, picks, sealed } = await loadSeasonData(seasonId, leagueId);
+  const base = leagueBase(leagueId);
+  let html = `<a href="${base}/season/${seasonId}" class="back">&larr; back to ${season.name}</a>`;
+  html += `<h1>${nameA} vs ${nameB}</h1>`;
+  const missing = [nameA, nameB].filter(name => !picks.some(p => p.name === name));
+  if (sealed || missing.length > 0 || nameA === nameB) {
+    const reason = sealed ? 'rosters stay hidden until the deadline.' : nameA === nameB ? 'pick two different players.' : `no roster for ${missing.join(' or ')}.`;
+    app.innerHTML = html + `<p class="section-note">${reason}</p>`;
+    return;
+  }
+
+  const { gap, shared, a, b, swings } = compareRosters(season, contestants, picks, nameA, nameB);
+  const leader = gap > 0 ? nameA : nameB;
+  html += `<p class="subtitle">${season.name} &mdash; ${gap === 0 ? `level on ${a.result.total}` : `${leader} leads by ${Math.abs(gap)}`}</p>`;
+  const playerLink = name => `<a href="${base}/season/${seasonId}/${encodeURIComponent(name)}">${name}</a>`;
+  const chip = c => contestantLink(c, base, seasonId, `${thumbnail(c)}${firstName(c)}`);
+
+  // where the gap comes from
+  html += `<section><h2>the gap</h2>`;
+  html += `<table class="standings compare-table"><thead><tr><th></th><th class="pts-col">${nameA}</th><th class="pts-col">${nameB}</th><th class="pts-col">net</th></tr></thead><tbody>`;
+  const rows = [
+    ['picks the other doesn\'t have', a.uniquePoints, b.uniquePoints],
+    ['alternate swaps', a.swapPoints, b.swapPoints],
+    ['roster bonuses', a.bonus, b.bonus]
+  ];
+  for (const [label, x, y] of rows) {
+    html += `<tr><td>${label}</td><td class="stat-col">${x}</td><td class="stat-col">${y}</td><td>${signed(x - y)}</td></tr>`;
+  }
+  html += `<tr class="total-row"><td>total</td><td class="stat-col">${a.result.total}</td><td class="stat-col">${b.result.total}</td><td>${signed(gap)}</td></tr>`;
+  html += `</tbody></table>`;
+  html += `<p class="section-note">net is ${nameA} minus ${nameB}. shared picks score the same on both sides, so they never move the gap.</p>`;
+  html += `</section>`;
+
+  html += `<section><h2>shared picks</h2>`;
+  if (shared.length === 0) {
+    html += `<p class="section-note">no picks in common.</p>`;
+  } else {
+    html += `<table class="breakdown-table compare-picks">`;
+    for (const p of shared) html += `<tr><td>${chip(p.contestant)}</td><td class="bp">${p.total}</td></tr>`;
+    html += `</table>`;
+  }
+  html += `</section>`;
+
+  html += `<section><h2>different picks</h2><div class="breakdowns">`;
+  for (const side of [a, b]) {
+    html += `<div class="breakdown"><div class="breakdown-header">${playerLink(side.result.name)} &mdash; ${side.uniquePoints}</div>`;
+    html += `<table class="breakdown-table">`;
+    for (const p of side.unique) {
+      const c = p.contestant;
+      const placementStr = c && c.placement != null ? ordinal(c.placement) : 'active';
+      html += `<tr><td>${chip(c)} (${placementStr})</td><td class="bp">${p.total}</td></tr>`;
+    }
+    if (side.unique.length === 0) html += `<tr class="bonus-row"><td colspan="2">none</td></tr>`;
+    html += `</table>`;
+
+    for (const swap of side.swaps) {
+      html += `<table class="breakdown-table"><tr class="bonus-row"><td>alt ${chip(swap.alt.contestant)} (${swap.alt.total}) in for ${chip(swap.replaced.contestant)} (${swap.replaced.total})</td><td class="bp">${signed(swap.net)}</td></tr></table>`;
+    }
+    html += `</div>`;
+  }
+  html += `</div></section>`;
+
+  if (swings.length > 0) {
+    html += `<section><h2>who could swing it</h2>`;
+    html += `<table class="breakdown-table compare-swings">`;
+    for (const { contestant, delta, after } of swings) {
+      const favors = delta > 0 ? nameA : nameB;
+      let effect = '';
+      if (gap === 0) effect = 'breaks the tie';
+      else if (after === 0) effect = 'ties it';
+      else if (Math.sign(after) !== Math.sign(gap)) effect = 'flips the lead';
+      html += `<tr><td>${chip(contestant)} wins</td><td class="calc">+${Math.abs(delta)} for ${favors}${effect ? ` &mdash; <b>${effect}</b>` : ''}</td></tr>`;
+    }
+    html += `</table>`;
+    html += `<p class="section-note">what each contestant still in the game would be worth to the gap if they won, with everyone else where they are now.</p>`;
+    html += `</section>`;
+  } else if (contestants.some(c => c.placement == null)) {
+    html += `<section><h2>who could swing it</h2><p class="section-note">nobody still in the game would change the gap by winning.</p></section>`;
+  }
+
+  app.innerHTML = html;
+}
+
+// a bonus key as words: immunityWin -> immunity win
+function bonusLabel(key) {
+  return key.replace(/[A-Z]/g, ch => ` ${ch.toLowerCase()}`);
+}
+
+// what happened to one contestant, episode by episode. seasons with an event log
+// read it straight from there; older ones only have what the roster recorded
+function contestantTimeline(c, events, season) {
+  if (events) {
+    const retracted = new Set(events.filter(e => e.type === 'retract').map(e => e.index));
+    const out = c.placement != null ? eliminationEpisode(c, season.contestantCount) : Infinity;
+    return events
+      .filter((e, i) => e.type !== 'retract' && !retracted.has(i))
+      .filter(e => e.contestant === c.name || e.for === c.name || (e.type === 'merge' && e.episode <= out))
+      .map(e => ({ episode: e.episode, text: e.for === c.name ? `jury vote from ${e.contestant}` : describeEvent(e).replace(` ${c.name}`, '') }))
+      .sort((a, b) => a.episode - b.episode);
+  }
+
+  const timeline = [];
+  for (const [key, value] of Object.entries(c.bonuses || {})) {
+    if (Array.isArray(value)) {
+      for (const episode of value) timeline.push({ episode, text: bonusLabel(key) });
+    } else if (value) {
+      timeline.push({ episode: null, text: `${bonusLabel(key)}${value > 1 ? ` x${value}` : ''}` });
+    }
+  }
+  if (c.placement != null) {
+    timeline.push({ episode: c.episode != null ? c.episode : null, text: c.note || c.method || `finished ${ordinal(c.placement)}` });
+  }
+  return timeline.sort((a, b) => (a.episode == null) - (b.episode == null) || a.episode - b.episode);
+}
+
+async function renderContestant(app, seasonId, name, leagueId = DEFAULT_LEAGUE) {
+  const { season, contestants, events, picks, sealed } = await loadSeasonData(seasonId, leagueId);
+  const c = contestants.find(x => x.name === name);
+  const base = leagueBase(leagueId);
+  let html = `<a href="${base}/season/${seasonId}" class="back">&larr; back to ${season.name}</a>`;
+  if (!c) {
+    app.innerHTML = html + `<p>contestant "${name}" not found</p>`;
+    return;
+  }
+
+  html += `<div class="contestant-header">`;
+  if (c.image) html += `<img class="contestant-photo${c.tribe ? ` tribe-border-${c.tribe}` : ''}" src="${c.image}" alt="${c.name}">`;
+  html += `<div><h1>${c.name}</h1>`;
+  const status = c.placement == null
+    ? 'still in the game'
+    : `${ordinal(c.placement)} place &mdash; ${c.note || c.method}${c.jury && c.placement > 1 ? ', on the jury' : ''}`;
+  html += `<p class="subtitle">${[c.tribe, status].filter(Boolean).join(' &middot; ')}</p>`;
+  if (c.bio) html += `<p class="contestant-bio">${c.bio}</p>`;
+  html += `</div></div>`;
+
+  const bonuses = Object.entries(c.bonuses || {}).filter(([, v]) => bonusCount(v) > 0);
+  if (bonuses.length > 0) {
+    html += `<section><h2>bonuses</h2><table class="breakdown-table contestant-bonuses">`;
+    for (const [key, value] of bonuses) {
+      const episodes = Array.isArray(value) ? `episode${value.length === 1 ? '' : 's'} ${value.join(', ')}` : '';
+      html += `<tr><td>${bonusLabel(key)}</td><td class="calc">${episodes}</td><td class="bp">${bonusCount(value)}</td></tr>`;
+    }
+    html += `</table></section>`;
+  }
+
+  // who has them and what they're worth to each roster
+  html += `<section><h2>drafted by</h2>`;
+  if (sealed) {
+    html += `<p class="section-note">rosters stay hidden until the deadline.</p>`;
+  } else {
+    const owners = [];
+    for (const result of computeStandings(season, contestants, picks)) {
+      const pick = result.picks.find(p => p.contestant === c);
+      const alt = result.alternates.find(a => a.contestant === c);
+      if (!pick && !alt) continue;
+      const active = pick ? !pick.swappedOut : alt.swappedIn;
+      const rosterBonus = result.bonuses
+        .filter(b => active && b.rule.type === 'finish' && b.rule.placement === c.placement)
+        .reduce((sum, b) => sum + b.points, 0);
+      const role = pick
+        ? (pick.swappedOut ? `pick, swapped out for ${firstName(pick.replacedBy)}` : 'pick')
+        : (alt.swappedIn ? `alternate, swapped in for ${firstName(alt.replaced)}` : 'alternate, not used');
+      owners.push({ result, role, points: active ? (pick || alt).total + rosterBonus : 0 });
+    }
+
+    if (owners.length === 0) {
+      html += `<p class="section-note">nobody drafted ${firstName(c)}.</p>`;
+    } else {
+      html += `<table class="standings contestant-owners"><thead><tr><th>player</th><th>as</th><th class="pts-col">pts</th></tr></thead><tbody>`;
+      for (const { result, role, points } of owners) {
+        html += `<tr>
+          <td><a href="${base}/season/${seasonId}/${encodeURIComponent(result.name)}">${result.name}</a></td>
+          <td class="role-col">${role}</td>
+          <td>${points}<span class="of-total"> / ${result.total}</span></td>
+        </tr>`;
+      }
+      html += `</tbody></table>`;
+      html += `<p class="section-note">on ${owners.length} of ${picks.length} roster${picks.length === 1 ? '' : 's'}. points are what ${firstName(c)} adds to that player's total, including finish bonuses.</p>`;
+    }
+  }
+  html += `</section>`;
+
+  const timeline = contestantTimeline(c, events, season);
+  if (timeline.length > 0) {
+    html += `<section><h2>episode by episode</h2><table class="breakdown-table contestant-timeline">`;
+    for (const entry of timeline) {
+      html += `<tr><td class="calc">${entry.episode != null ? `ep ${entry.episode}` : ''}</td><td>${entry.text}</td></tr>`;
+    }
+    html += `</table>`;
+    if (!events) html += `<p class="section-note">this season predates the event log, so only the final result and bonus totals are known.</p>`;
+    html += `</section>`;
+  }
+
+  app.innerHTML = html;
+}
+
+async function renderHistory(app, leagueId = DEFAULT_LEAGUE) {
+  const { seasons } = await loadLeague(leagueId);
+  const completed = await loadCompletedSeasons(leagueId);
+  const careers = computeCareers(completed);
+  const base = leagueBase(leagueId);
+  let html = `<a href="${base}/" class="back">&larr; back</a>`;
+  html += `<h1>history</h1>`;
+
+  if (careers.length > 0) {
+    html += `<section><h2>all-time leaderboard</h2>`;
+    html += `<table class="standings career-table"><thead><tr>
+      <th class="rank-col">#</th><th>player</th>
+      <th class="stat-col" title="seasons won">titles</th><th class="stat-col" title="top-three finishes">podiums</th>
+      <th class="stat-col" title="average finish">avg</th><th class="stat-col" title="seasons they had the sole survivor">winner</th>
+      <th class="pts-col">pts</th>
+    </tr></thead><tbody>`;
+    careers.forEach((c, i) => {
+      html += `<tr class="${i === 0 ? 'first-place' : ''}">
+        <td>${i + 1}</td>
+        <td><a href="${base}/player/${encodeURIComponent(c.name)}">${c.name}</a></td>
+        <td class="stat-col">${c.titles}</td>
+        <td class="stat-col">${c.podiums}</td>
+        <td class="stat-col">${c.averageFinish.toFixed(1)}</td>
+        <td class="stat-col">${c.winnerPicks}</td>
+        <td>${c.totalPoints}</td>
+      </tr>`;
+    });
+    html += `</tbody></table>`;
+    html += `<p class="section-note">across ${completed.length} completed season${completed.length === 1 ? '' : 's'}. ranked by titles, then podiums, then average finish. "winner" counts the seasons the sole survivor was on their roster.</p>`;
+    html += `</section>`;
+  } else {
+    html += `<p class="section-note">the all-time leaderboard starts once a season is finished.</p>`;
+  }
+
+  html += `<section><h2>seasons</h2>`;
   html += `<div class="history-list">`;
   for (const s of [...seasons].reverse()) {
-    html += `<a href="#/season/${s.id}" class="history-card">
+    html += `<a href="${base}/season/${s.id}" class="history-card">
       <span class="history-name">${s.name}</span>
       <span class="history-status">${s.status}</span>
     </a>`;
   }
+  html += `</div></section>`;
+  app.innerHTML = html;
+}
+
+async function renderCareer(app, playerName, leagueId = DEFAULT_LEAGUE) {
+  const careers = computeCareers(await loadCompletedSeasons(leagueId));
+  const career = careers.find(c => c.name === playerName);
+  const base = leagueBase(leagueId);
+  let html = `<a href="${base}/history" class="back">&larr; back to history</a>`;
+  html += `<h1>${playerName}</h1>`;
+  if (!career) {
+    html += `<p class="section-note">${playerName} hasn't finished a season yet.</p>`;
+    app.innerHTML = html;
+    return;
+  }
+
+  const { seasons } = career;
+  const rank = careers.indexOf(career) + 1;
+  html += `<p class="subtitle">${ordinal(rank)} all-time &mdash; ${seasons.length} season${seasons.length === 1 ? '' : 's'} played</p>`;
+
+  const stats = [
+    ['titles', career.titles],
+    ['podiums', career.podiums],
+    ['average finish', career.averageFinish.toFixed(1)],
+    ['total points', career.totalPoints],
+    ['best season', `${ordinal(career.best.finish)} in ${career.best.season.name}`],
+    ['picked the winner', `${career.winnerPicks} of ${seasons.length}`]
+  ];
+  html += `<div class="career-stats">`;
+  for (const [label, value] of stats) {
+    html += `<div class="career-stat"><span class="career-stat-value">${value}</span><span class="career-stat-label">${label}</span></div>`;
+  }
   html += `</div>`;
+
+  html += `<section><h2>seasons</h2>`;
+  html += `<table class="standings career-table career-seasons"><thead><tr>
+    <th>season</th><th class="stat-col">finish</th><th class="stat-col" title="had the sole survivor">winner</th><th class="pts-col">pts</th>
+  </tr></thead><tbody>`;
+  for (const s of [...seasons].reverse()) {
+    html += `<tr class="${s.finish === 1 ? 'first-place' : ''}">
+      <td><a href="${base}/season/${s.season.id}/${encodeURIComponent(playerName)}">${s.season.name}</a></td>
+      <td class="stat-col">${ordinal(s.finish)} of ${s.of}</td>
+      <td class="stat-col">${s.pickedWinner ? '&#10003;' : ''}</td>
+      <td>${s.total}</td>
+    </tr>`;
+  }
+  html += `</tbody></table></section>`;
   app.innerHTML = html;
 }
 
-async function renderSubmit(app) {
-  const seasons = await loadSeasons();
+async function renderSubmit(app, editName, leagueId = DEFAULT_LEAGUE) {
+  const { league, seasons } = await loadLeague(leagueId);
   const active = seasons.find(s => s.status === 'active');
   if (!active) {
     app.innerHTML = '<p>no active season for pick submission</p>';
     return;
   }
 
-  const { season, contestants } = await loadSeasonData(active.id);
+  const { season, contestants } = await loadSeasonData(active.id, leagueId);
   const now = new Date();
   const deadline = season.submissionDeadline ? new Date(season.submissionDeadline) : null;
+  const base = leagueBase(leagueId);
+  const pool = poolKey(season.id, leagueId);
+
+  if (league.draft) {
+    app.innerHTML = `<h1>live draft</h1><p class="subtitle">${season.name} rosters are picked in the <a href="${base}/draft">live draft</a>.</p>`;
+    return;
+  }
 
   if (deadline && now >= deadline) {
-    app.innerHTML = `<h1>submissions closed</h1><p class="subtitle">the deadline for ${season.name} has passed.</p><p><a href="#/" class="back">&larr; back to standings</a></p>`;
+    app.innerHTML = `<h1>submissions closed</h1><p class="subtitle">the deadline for ${season.name} has passed.</p><p><a href="${base}/" class="back">&larr; back to standings</a></p>`;
     return;
   }
 
-  let existingNames = new Set();
+  // while picks are sealed, presenting our edit token returns our own roster for prefill
+  const tokens = loadEditTokens(pool);
+  let existingPicks = [];
   try {
-    const res = await fetch(`${WORKER_URL}/picks/${season.id}`);
+    // the token goes in a header so it stays out of urls, logs and browser history
+    let url = `${WORKER_URL}/picks/${season.id}${leagueId === DEFAULT_LEAGUE ? '' : `/${leagueId}`}`;
+    const init = {};
+    if (editName && tokens[editName]) {
+      url += `?name=${encodeURIComponent(editName)}`;
+      init.headers = { [EDIT_TOKEN_HEADER]: tokens[editName] };
+    }
+    const res = await fetch(url, init);
     if (res.ok) {
       const data = await res.json();
-      if (data.picks) existingNames = new Set(data.picks.map(p => p.name));
+      if (data.picks) existingPicks = data.picks;
     }
   } catch (e) {}
+  const existingNames = new Set(existingPicks.map(p => p.name));
+
+  // editing an existing roster: either we hold its token, or the player types their pin
+  const editing = editName ? existingPicks.find(p => p.name === editName) : null;
+  const needsPin = editing && !tokens[editing.name];
 
   const totalSlots = season.picksPerPlayer + season.alternates;
-  const tribes = [...new Set(contestants.map(c => c.tribe).filter(Boolean))];
 
-  let html = `<a href="#/" class="back">&larr; back</a>`;
-  html += `<h1>submit picks — ${season.name}</h1>`;
+  let html = `<a href="${base}/" class="back">&larr; back</a>`;
+  html += `<h1>${editing ? 'edit' : 'submit'} picks — ${season.name}</h1>`;
   if (deadline) {
-    html += `<p class="subtitle">deadline: ${deadline.toLocaleDateString('en-us', { weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' })}</p>`;
+    html += `<p class="subtitle">deadline: ${formatDeadline(deadline)}</p>`;
+  }
+  if (editName && !editing) {
+    html += `<p class="section-note">no picks found for "${editName}" &mdash; submit a new roster below.</p>`;
   }
 
-  // name input
-  html += `<div class="form-field" style="max-width:300px;margin-top:20px"><label for="player-name">your name</label><input type="text" id="player-name" required placeholder="e.g. benson"></div>`;
+  // name + pin inputs
+  html += `<div class="form-row">`;
+  if (editing) {
+    html += `<div class="form-field"><label for="player-name">your name</label><input type="text" id="player-name" value="${editing.name}" readonly></div>`;
+  } else {
+    html += `<div class="form-field"><label for="player-name">your name</label><input type="text" id="player-name" required maxlength="${NAME_MAX_LENGTH}" placeholder="e.g. benson"><div class="field-error" data-error-for="name"></div></div>`;
+  }
+  if (!editing || needsPin) {
+    const pinLabel = needsPin ? 'your pin' : 'pin (optional)';
+    const pinHint = needsPin ? 'the pin you chose when you submitted' : 'lets you edit from another device';
+    html += `<div class="form-field"><label for="player-pin">${pinLabel}</label><input type="password" id="player-pin" inputmode="numeric" pattern="[0-9]*" maxlength="8" placeholder="${pinHint}"><div class="field-error" data-error-for="pin"></div></div>`;
+  }
+  html += `</div>`;
 
   // pick slots bar
   html += `<div class="pick-slots">`;
   for (let i = 0; i < season.picksPerPlayer; i++) {
     html += `<div class="pick-slot" data-slot="${i}"><span class="slot-label">pick ${i + 1}</span><span class="slot-name"></span></div>`;
   }
+  // under the slot policy each alternate names the pick it backs up
+  const slotPolicy = season.alternatePolicy === 'slot';
   for (let i = 0; i < season.alternates; i++) {
-    html += `<div class="pick-slot alt-slot" data-slot="${season.picksPerPlayer + i}"><span class="slot-label">alt</span><span class="slot-name"></span></div>`;
+    html += `<div class="pick-slot alt-slot" data-slot="${season.picksPerPlayer + i}"><span class="slot-label">alt</span><span class="slot-name"></span>`;
+    if (slotPolicy) {
+      const current = editing && editing.alternateSlots && editing.alternateSlots[i] != null ? editing.alternateSlots[i] : i;
+      html += `<select class="alt-for" data-alt="${i}" aria-label="pick this alternate backs up">`;
+      for (let p = 0; p < season.picksPerPlayer; p++) {
+        html += `<option value="${p}"${p === current ? ' selected' : ''}>for pick ${p + 1}</option>`;
+      }
+      html += `</select>`;
+    }
+    html += `</div>`;
   }
   html += `</div>`;
+  for (const field of ['picks', 'alternates', 'alternateSlots']) {
+    html += `<div class="field-error" data-error-for="${field}"></div>`;
+  }
 
   // contestant grid by tribe
-  for (const tribe of tribes) {
-    const tribeContestants = contestants.filter(c => c.tribe === tribe);
-    html += `<div class="tribe-section"><h2 class="tribe-name tribe-${tribe}">${tribe}</h2>`;
-    html += `<div class="contestant-grid">`;
-    for (const c of tribeContestants) {
-      const firstName = c.name.split(' ')[0];
-      const lastName = c.name.split(' ').slice(1).join(' ');
-      html += `<button type="button" class="contestant-card tribe-${c.tribe || ''}" data-name="${c.name}">`;
-      if (c.image) {
-        const smallImg = c.image.replace('-1024x683', '-150x150').replace('-1024x682', '-150x150');
-        html += `<div class="card-img"><img src="${smallImg}" alt="${c.name}" loading="lazy"></div>`;
-      }
-      html += `<div class="card-info">`;
-      html += `<span class="card-name">${firstName}</span>`;
-      html += `<span class="card-last">${lastName}</span>`;
-      if (c.bio) html += `<span class="card-bio">${c.bio}</span>`;
-      html += `</div>`;
-      html += `<div class="card-check">&#10003;</div>`;
-      html += `</button>`;
-    }
-    html += `</div></div>`;
+  html += contestantGrid(contestants);
+
+  // the pre-season tiebreaker question, when the season uses it
+  const asksFinalVotes = (season.tiebreakers || []).includes('finalVotes');
+  if (asksFinalVotes) {
+    const guess = editing && editing.finalVotesGuess != null ? editing.finalVotesGuess : '';
+    html += `<div class="form-row"><div class="form-field"><label for="final-votes">tiebreaker: how many jury votes will the winner get?</label><input type="number" id="final-votes" min="0" step="1" inputmode="numeric" value="${guess}" placeholder="e.g. 5"><div class="field-error" data-error-for="finalVotesGuess"></div></div></div>`;
   }
 
   html += `<div class="submit-bar">`;
-  html += `<button type="button" id="submit-btn" class="submit-btn" disabled>submit picks</button>`;
+  html += `<button type="button" id="submit-btn" class="submit-btn" disabled>${editing ? 'update picks' : 'submit picks'}</button>`;
   html += `<div id="submit-status" class="submit-status"></div>`;
   html += `</div>`;
 
   app.innerHTML = html;
 
   // --- card picker logic ---
-  const selected = []; // array of contestant names, length = totalSlots
+  const selected = editing && editing.picks ? [...editing.picks, ...(editing.alternates || [])] : []; // array of contestant names, length = totalSlots
   const slots = app.querySelectorAll('.pick-slot');
   const cards = app.querySelectorAll('.contestant-card');
   const submitBtn = document.getElementById('submit-btn');
@@ -617,27 +1908,51 @@ async function renderSubmit(app) {
     });
   });
 
+  // picking which pick an alternate backs up shouldn't clear the slot
+  app.querySelectorAll('.alt-for').forEach(el => el.addEventListener('click', e => e.stopPropagation()));
+
+  // show the roster being edited
+  if (selected.length > 0) updateUI();
+
+  // the same rules the worker enforces, shown next to the field they're about
+  const rules = {
+    picksPerPlayer: season.picksPerPlayer,
+    alternates: season.alternates,
+    contestants: contestants.map(c => c.name),
+    deadline: season.submissionDeadline
+  };
+
+  function showErrors(errors) {
+    app.querySelectorAll('[data-error-for]').forEach(el => { el.textContent = errors[el.dataset.errorFor] || ''; });
+    const status = document.getElementById('submit-status');
+    const unplaced = Object.entries(errors).filter(([field]) => !app.querySelector(`[data-error-for="${field}"]`));
+    status.textContent = unplaced.map(([, message]) => message).join('; ');
+    status.className = unplaced.length ? 'submit-status error' : 'submit-status';
+  }
+
   // submit handler — show confirmation first
   submitBtn.addEventListener('click', () => {
     const status = document.getElementById('submit-status');
     const name = document.getElementById('player-name').value.trim().toLowerCase();
-    if (!name) { status.textContent = 'enter your name'; status.className = 'submit-status error'; return; }
+    const pinInput = document.getElementById('player-pin');
+    const pin = pinInput ? pinInput.value.trim() : '';
 
-    if (existingNames.has(name)) {
-      status.textContent = `"${name}" has already submitted picks`;
-      status.className = 'submit-status error';
-      return;
-    }
+    const picks = selected.slice(0, season.picksPerPlayer);
+    const alternates = selected.slice(season.picksPerPlayer);
+    const alternateSlots = slotPolicy ? Array.from(app.querySelectorAll('.alt-for'), el => Number(el.value)) : null;
+    const guessInput = document.getElementById('final-votes');
+    const finalVotesGuess = guessInput && guessInput.value.trim() !== '' ? Number(guessInput.value) : null;
+
+    const { ok, errors } = validateRoster({ name, pin, picks, alternates, alternateSlots, finalVotesGuess }, rules);
+    showErrors(errors);
+    if (!ok) return;
 
-    if (selected.length < totalSlots) {
-      status.textContent = `select ${totalSlots} contestants`;
+    if (existingNames.has(name) && !tokens[name] && !pin) {
+      status.textContent = `"${name}" has already submitted picks — enter your pin to edit them`;
       status.className = 'submit-status error';
       return;
     }
 
-    const picks = selected.slice(0, season.picksPerPlayer);
-    const alternates = selected.slice(season.picksPerPlayer);
-
     // show confirmation overlay
     const overlay = document.createElement('div');
     overlay.className = 'confirm-overlay';
@@ -652,10 +1967,14 @@ async function renderSubmit(app) {
     confirmHTML += `</ol>`;
     if (alternates.length > 0) {
       confirmHTML += `<p class="confirm-alt-label">alternate</p>`;
-      for (const a of alternates) {
+      alternates.forEach((a, i) => {
         const c = contestants.find(x => x.name === a);
-        confirmHTML += `<p class="confirm-alt">${thumbnail(c)}${a}</p>`;
-      }
+        const backs = alternateSlots ? ` <span class="confirm-alt-for">for ${picks[alternateSlots[i]]}</span>` : '';
+        confirmHTML += `<p class="confirm-alt">${thumbnail(c)}${a}${backs}</p>`;
+      });
+    }
+    if (finalVotesGuess != null) {
+      confirmHTML += `<p class="confirm-alt-label">tiebreaker</p><p class="confirm-alt">winner gets ${finalVotesGuess} jury vote${finalVotesGuess === 1 ? '' : 's'}</p>`;
     }
     confirmHTML += `<div class="confirm-buttons">`;
     confirmHTML += `<button type="button" class="confirm-go">submit</button>`;
@@ -675,19 +1994,34 @@ async function renderSubmit(app) {
       cStatus.textContent = 'submitting...';
 
       try {
+        const isUpdate = existingNames.has(name);
+        const body = { season: season.id, name, picks, alternates };
+        if (alternateSlots) body.alternateSlots = alternateSlots;
+        if (finalVotesGuess != null) body.finalVotesGuess = finalVotesGuess;
+        if (leagueId !== DEFAULT_LEAGUE) body.league = leagueId;
+        if (isUpdate) body.token = tokens[name] || pin;
+        else if (pin) body.pin = pin;
+
         const res = await fetch(`${WORKER_URL}/picks`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ season: season.id, name, picks, alternates })
+          body: JSON.stringify(body)
         });
         if (res.ok) {
-          cStatus.textContent = 'picks submitted!';
+          const data = await res.json();
+          const secret = data.token || body.token || body.pin;
+          if (secret) saveEditToken(pool, name, secret);
+          cStatus.textContent = isUpdate ? 'picks updated!' : 'picks submitted!';
           cStatus.className = 'confirm-status success';
-          delete seasonDataCache[season.id];
-          setTimeout(() => { overlay.remove(); location.hash = '#/'; }, 1200);
+          delete seasonDataCache[pool];
+          setTimeout(() => { overlay.remove(); location.hash = `${base}/`; }, 1200);
         } else {
           let msg = 'submission failed';
-          try { const data = await res.json(); msg = data.error || msg; } catch (e) {}
+          try {
+            const data = await res.json();
+            msg = data.error || msg;
+            if (data.errors) showErrors(data.errors);
+          } catch (e) {}
           cStatus.textContent = msg;
           cStatus.className = 'confirm-status error';
           goBtn.disabled = false;
@@ -702,8 +2036,790 @@ async function renderSubmit(app) {
   });
 }
 
+// this week's "who goes home" guess. the roster's edit token (or pin) proves who's guessing
+async function renderPredict(app, leagueId = DEFAULT_LEAGUE) {
+  const { seasons } = await loadLeague(leagueId);
+  const active = seasons.find(s => s.status === 'active');
+  const base = leagueBase(leagueId);
+  if (!active) {
+    app.innerHTML = '<p>no active season for predictions</p>';
+    return;
+  }
+
+  const { season, contestants, picks } = await loadSeasonData(active.id, leagueId);
+  const open = openPredictionEpisode(season);
+  if (!open) {
+    const why = season.predictions ? `there's no episode taking guesses right now.` : `${season.name} doesn't run the prediction game.`;
+    app.innerHTML = `<h1>predictions closed</h1><p class="subtitle">${why}</p><p><a href="${base}/" class="back">&larr; back to standings</a></p>`;
+    return;
+  }
+
+  const pool = poolKey(season.id, leagueId);
+  const tokens = { ...loadEditTokens(`${pool}/draft`), ...loadEditTokens(pool) };
+  const known = Object.keys(tokens);
+  const remaining = contestants.filter(c => c.placement == null);
+  const leaguePath = leagueId === DEFAULT_LEAGUE ? '' : `/${leagueId}`;
+  // a guess already in for this episode; the worker shows a player their own before the cutoff
+  const loadGuess = async (name, token) => {
+    if (!name || !token) return null;
+    try {
+      const res = await fetch(`${WORKER_URL}/predictions/${season.id}${leaguePath}?name=${encodeURIComponent(name)}`, {
+        headers: { [EDIT_TOKEN_HEADER]: token }
+      });
+      if (!res.ok) return null;
+      return ((await res.json()).predictions || []).find(p => p.name === name && p.episode === open.episode) || null;
+    } catch (e) {
+      return null;
+    }
+  };
+  const current = await loadGuess(known[0], tokens[known[0]]);
+
+  const options = (selected, blank) => (blank ? `<option value="">${blank}</option>` : '') +
+    remaining.map(c => `<option value="${c.name}"${c.name === selected ? ' selected' : ''}>${c.name}</option>`).join('');
+
+  let html = `<a href="${base}/" class="back">&larr; back</a>`;
+  html += `<h1>episode ${open.episode} predictions &mdash; ${season.name}</h1>`;
+  html += `<p class="subtitle">guesses close ${formatDeadline(open.cutoff)}</p>`;
+  html += `<div class="form-row">`;
+  html += `<div class="form-field"><label for="player-name">your name</label><input type="text" id="player-name" list="known-players" maxlength="${NAME_MAX_LENGTH}" value="${known[0] || ''}" placeholder="the name on your roster"><datalist id="known-players">${picks.map(p => `<option value="${p.name}">`).join('')}</datalist><div class="field-error" data-error-for="name"></div></div>`;
+  html += `<div class="form-field"><label for="player-pin">your pin</label><input type="password" id="player-pin" inputmode="numeric" pattern="[0-9]*" maxlength="8" placeholder="not needed on the device you submitted from"></div>`;
+  html += `</div>`;
+  html += `<div class="form-row">`;
+  html += `<div class="form-field"><label for="predict-boot">who goes home</label><select id="predict-boot">${options(current && current.boot, 'choose someone')}</select><div class="field-error" data-error-for="boot"></div></div>`;
+  html += `<div class="form-field"><label for="predict-immunity">who wins immunity (optional)</label><select id="predict-immunity">${options(current && current.immunity, 'no guess')}</select><div class="field-error" data-error-for="immunity"></div></div>`;
+  html += `</div>`;
+  const points = predictionPoints(season);
+  html += `<p class="section-note">${signed(points.boot)} for calling the boot, ${signed(points.immunity)} for calling immunity. you can change your guess until the cutoff.</p>`;
+  html += `<div class="submit-bar">`;
+  html += `<button type="button" id="predict-btn" class="submit-btn">${current ? 'update guess' : 'save guess'}</button>`;
+  html += `<div id="submit-status" class="submit-status"></div>`;
+  html += `</div>`;
+  app.innerHTML = html;
+
+  const status = document.getElementById('submit-status');
+  const button = document.getElementById('predict-btn');
+  const nameInput = document.getElementById('player-name');
+  const pinInput = document.getElementById('player-pin');
+  const bootSelect = document.getElementById('predict-boot');
+  const immunitySelect = document.getElementById('predict-immunity');
+
+  // whoever's named in the field: show their guess for this episode, or a blank form
+  let shown = known[0] || '';
+  const showGuess = async () => {
+    const name = nameInput.value.trim().toLowerCase();
+    const guess = await loadGuess(name, pinInput.value.trim() || tokens[name]);
+    if (nameInput.value.trim().toLowerCase() !== name) return;
+    if (guess || name !== shown) {
+      bootSelect.value = guess ? guess.boot : '';
+      immunitySelect.value = guess && guess.immunity ? guess.immunity : '';
+    }
+    shown = name;
+    button.textContent = guess ? 'update guess' : 'save guess';
+  };
+  nameInput.addEventListener('change', showGuess);
+  pinInput.addEventListener('change', showGuess);
+
+  button.addEventListener('click', async () => {
+    const name = nameInput.value.trim().toLowerCase();
+    const pin = pinInput.value.trim();
+    const boot = bootSelect.value;
+    const immunity = immunitySelect.value || null;
+
+    const rules = { contestants: contestants.map(c => c.name), predictionCutoffs: season.predictions.cutoffs };
+    const { ok, errors } = validatePrediction({ name, episode: open.episode, boot, immunity }, rules);
+    app.querySelectorAll('[data-error-for]').forEach(el => { el.textContent = errors[el.dataset.errorFor] || ''; });
+    status.textContent = errors.form || '';
+    status.className = errors.form ? 'submit-status error' : 'submit-status';
+    if (!ok) return;
+
+    const token = pin || tokens[name];
+    if (!token) {
+      status.textContent = `enter ${name}'s pin, or guess from the device ${name} submitted picks on`;
+      status.className = 'submit-status error';
+      return;
+    }
+
+    button.disabled = true;
+    status.textContent = 'saving...';
+    try {
+      const body = { season: season.id, name, episode: open.episode, boot, token };
+      if (immunity) body.immunity = immunity;
+      if (leagueId !== DEFAULT_LEAGUE) body.league = leagueId;
+      const res = await fetch(`${WORKER_URL}/predictions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.ok) {
+        if (pin) saveEditToken(pool, name, pin);
+        status.textContent = 'guess saved!';
+        status.className = 'submit-status success';
+        delete seasonDataCache[pool];
+        setTimeout(() => { location.hash = `${base}/`; }, 1200);
+      } else {
+        status.textContent = data.error || 'saving failed';
+        status.className = 'submit-status error';
+        button.disabled = false;
+      }
+    } catch (err) {
+      console.error('prediction error:', err);
+      status.textContent = 'network error — try again';
+      status.className = 'submit-status error';
+      button.disabled = false;
+    }
+  });
+}
+
+async function renderDraft(app, leagueId = DEFAULT_LEAGUE) {
+  const { seasons } = await loadLeague(leagueId);
+  const active = seasons.find(s => s.status === 'active');
+  if (!active) {
+    app.innerHTML = '<p>no active season to draft</p>';
+    return;
+  }
+
+  const { season, contestants } = await loadSeasonData(active.id, leagueId);
+  const base = leagueBase(leagueId);
+  const draftPool = `${poolKey(season.id, leagueId)}/draft`;
+  const leagueFields = leagueId === DEFAULT_LEAGUE ? {} : { league: leagueId };
+  const roomUrl = `${WORKER_URL}/draft/${season.id}${leagueId === DEFAULT_LEAGUE ? '' : `/${leagueId}`}`;
+
+  const res = await fetch(roomUrl);
+  if (res.status === 404) {
+    app.innerHTML = `<a href="${base}/" class="back">&larr; back</a><h1>live draft</h1><p class="subtitle">the ${season.name} draft hasn't opened yet.</p>`;
+    return;
+  }
+  if (!res.ok) throw new Error('failed to load the draft room');
+  let room = (await res.json()).room;
+  let clockOffset = new Date(room.serverTime) - Date.now();
+
+  let html = `<a href="${base}/" class="back">&larr; back</a>`;
+  html += `<h1>live draft — ${season.name}</h1>`;
+  html += `<div id="draft-turn" class="draft-turn"></div>`;
+  html += `<div id="draft-join" class="form-row"></div>`;
+  html += `<section><h2>draft board</h2><div id="draft-board" class="picks-scroll"></div></section>`;
+  html += `<section><h2>contestants</h2>${contestantGrid(contestants)}</section>`;
+  app.innerHTML = html;
+
+  const turnEl = document.getElementById('draft-turn');
+  const joinEl = document.getElementById('draft-join');
+  const boardEl = document.getElementById('draft-board');
+  const cards = app.querySelectorAll('.contestant-card');
+  let selectedName = null;
+
+  // seats this device holds; a shared device may hold several
+  const mySeats = () => Object.keys(loadEditTokens(draftPool)).filter(n => room.order.includes(n));
+  const myTurn = () => room.status === 'live' && mySeats().includes(room.current);
+
+  function clockText() {
+    const left = Math.max(0, Math.ceil((new Date(room.turnEndsAt) - (Date.now() + clockOffset)) / 1000));
+    return `${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}`;
+  }
+
+  function renderTurn() {
+    if (room.status === 'complete') {
+      turnEl.innerHTML = `<b>the draft is complete.</b> <a href="${base}/season/${season.id}">see the standings &rarr;</a>`;
+      return;
+    }
+    let text = myTurn() ? `<b>you're up, ${room.current}!</b>` : `<b>${room.current}</b> is on the clock`;
+    if (room.turnEndsAt) text += ` <span class="draft-clock">${clockText()}</span>`;
+    text += ` <span class="draft-pick-no">pick ${room.picks.length + 1} of ${room.order.length * (room.picksPerPlayer + room.alternates)}</span>`;
+    if (myTurn()) {
+      text += `<button type="button" id="draft-claim" class="submit-btn"${selectedName ? '' : ' disabled'}>${selectedName ? `draft ${selectedName}` : 'choose a contestant'}</button>`;
+      text += `<div id="draft-status" class="submit-status"></div>`;
+    }
+    turnEl.innerHTML = text;
+    const claimBtn = document.getElementById('draft-claim');
+    if (claimBtn) claimBtn.addEventListener('click', claim);
+  }
+
+  function renderJoin() {
+    if (room.status !== 'live' || mySeats().length > 0) {
+      joinEl.innerHTML = '';
+      return;
+    }
+    const open = room.order.filter(n => !room.joined.includes(n));
+    if (open.length === 0) {
+      joinEl.innerHTML = '';
+      return;
+    }
+    let form = `<div class="form-field"><label for="draft-seat">take your seat</label><select id="draft-seat">`;
+    for (const n of open) form += `<option value="${n}">${n}</option>`;
+    form += `</select></div><div class="form-field"><button type="button" id="draft-join-btn" class="submit-btn">join draft</button><div id="draft-join-status" class="submit-status"></div></div>`;
+    joinEl.innerHTML = form;
+    document.getElementById('draft-join-btn').addEventListener('click', join);
+  }
+
+  function renderBoard() {
+    const rounds = room.picksPerPlayer + room.alternates;
+    let board = `<table class="picks draft-board"><thead><tr><th>round</th>`;
+    for (const n of room.order) board += `<th>${n}</th>`;
+    board += `</tr></thead><tbody>`;
+    for (let r = 0; r < rounds; r++) {
+      board += `<tr><td class="player-name">${r < room.picksPerPlayer ? r + 1 : 'alt'}</td>`;
+      for (const n of room.order) {
+        const pick = room.picks.filter(p => p.player === n)[r];
+        const c = pick ? contestants.find(x => x.name === pick.contestant) : null;
+        const cls = pick && pick.auto ? 'pick auto-pick' : 'pick';
+        board += `<td${r >= room.picksPerPlayer ? ' class="alt-col"' : ''}>${pick ? `<span class="${cls}">${thumbnail(c)}${pick.contestant.split(' ')[0]}</span>` : ''}</td>`;
+      }
+      board += `</tr>`;
+    }
+    board += `</tbody></table>`;
+    boardEl.innerHTML = board;
+  }
+
+  function renderCards() {
+    const taken = new Set(room.picks.map(p => p.contestant));
+    if (taken.has(selectedName)) selectedName = null;
+    cards.forEach(card => {
+      const name = card.dataset.name;
+      card.classList.toggle('selected', name === selectedName);
+      card.classList.toggle('unavailable', taken.has(name));
+    });
+  }
+
+  function update(next, force = false) {
+    const changed = force || next.picks.length !== room.picks.length || next.joined.length !== room.joined.length || next.status !== room.status;
+    room = next;
+    clockOffset = new Date(room.serverTime) - Date.now();
+    if (!changed) return;
+    renderTurn();
+    renderJoin();
+    renderBoard();
+    renderCards();
+  }
+
+  async function join() {
+    const name = document.getElementById('draft-seat').value;
+    const status = document.getElementById('draft-join-status');
+    const res = await fetch(`${WORKER_URL}/draft/join`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ season: season.id, ...leagueFields, name })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      status.textContent = data.error || 'could not join';
+      status.className = 'submit-status error';
+      return;
+    }
+    saveEditToken(draftPool, name, data.token);
+    update(data.room, true);
+  }
+
+  async function claim() {
+    const status = document.getElementById('draft-status');
+    const name = room.current;
+    const res = await fetch(`${WORKER_URL}/draft/claim`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ season: season.id, ...leagueFields, name, token: loadEditTokens(draftPool)[name], contestant: selectedName })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      status.textContent = data.error || 'pick failed';
+      status.className = 'submit-status error';
+      return;
+    }
+    selectedName = null;
+    delete seasonDataCache[poolKey(season.id, leagueId)];
+    update(data.room);
+  }
+
+  cards.forEach(card => {
+    card.addEventListener('click', () => {
+      if (!myTurn() || card.classList.contains('unavailable')) return;
+      selectedName = selectedName === card.dataset.name ? null : card.dataset.name;
+      renderCards();
+      renderTurn();
+    });
+  });
+
+  update(room, true);
+
+  // tick the clock every second and poll the room every few; stops once the view is gone
+  let ticks = 0;
+  const timer = setInterval(async () => {
+    if (!document.body.contains(boardEl)) {
+      clearInterval(timer);
+      return;
+    }
+    if (room.status !== 'live') return;
+    const clock = turnEl.querySelector('.draft-clock');
+    if (clock) clock.textContent = clockText();
+    if (++ticks % 3 !== 0) return;
+    try {
+      const res = await fetch(roomUrl);
+      if (res.ok) update((await res.json()).room);
+    } catch (e) {
+      console.warn('draft poll failed:', e.message);
+    }
+  }, 1000);
+}
+
+// --- admin ---
+
+// the admin secret (ADMIN_SECRET or a league's own) is typed once and kept per league on this device
+const ADMIN_SECRETS_KEY = 'survivor-admin-secrets';
+
+function loadAdminSecret(leagueId) {
+  try {
+    return (JSON.parse(localStorage.getItem(ADMIN_SECRETS_KEY)) || {})[leagueId] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveAdminSecret(leagueId, secret) {
+  let all = {};
+  try { all = JSON.parse(localStorage.getItem(ADMIN_SECRETS_KEY)) || {}; } catch (e) {}
+  if (secret) all[leagueId] = secret;
+  else delete all[leagueId];
+  localStorage.setItem(ADMIN_SECRETS_KEY, JSON.stringify(all));
+}
+
+// calls an admin route; throws with the worker's error message (and status) on failure
+async function adminFetch(path, secret, body) {
+  const headers = { Authorization: `Bearer ${secret}` };
+  const init = body ? { method: 'POST', headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : { headers };
+  const res = await fetch(`${WORKER_URL}${path}`, init);
+  let data = {};
+  try { data = await res.json(); } catch (e) {}
+  if (!res.ok) {
+    const err = new Error(data.error || `request failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+// datetime-local inputs want local wall-clock time without a zone
+function toLocalInput(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  return new Date(d - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+async function renderAdmin(app, leagueId = DEFAULT_LEAGUE) {
+  const { league, seasons } = await loadLeague(leagueId);
+  const season = seasons.find(s => s.status === 'active') || seasons[seasons.length - 1];
+  if (!season) {
+    app.innerHTML = '<p>no seasons found</p>';
+    return;
+  }
+
+  const base = leagueBase(leagueId);
+  const pool = poolKey(season.id, leagueId);
+  const leaguePath = leagueId === DEFAULT_LEAGUE ? '' : `/${leagueId}`;
+  const leagueFields = leagueId === DEFAULT_LEAGUE ? {} : { league: leagueId };
+  const secret = loadAdminSecret(leagueId);
+
+  let html = `<a href="${base}/" class="back">&larr; back</a>`;
+  html += `<h1>admin — ${season.name}</h1>`;
+  html += `<p class="subtitle">${league.name}</p>`;
+
+  let data = null;
+  if (secret) {
+    try {
+      data = await adminFetch(`/admin/picks/${season.id}${leaguePath}`, secret);
+    } catch (e) {
+      if (e.status !== 401) throw e;
+      saveAdminSecret(leagueId, null);
+    }
+  }
+
+  // locked: ask for the secret and only keep it once the worker accepts it
+  if (!data) {
+    html += `<div class="form-row"><div class="form-field"><label for="admin-secret">admin secret</label><input type="password" id="admin-secret" autocomplete="current-password"></div></div>`;
+    html += `<button type="button" id="admin-unlock" class="submit-btn">unlock</button>`;
+    html += `<div id="admin-status" class="submit-status${secret ? ' error' : ''}">${secret ? 'that secret no longer works' : ''}</div>`;
+    app.innerHTML = html;
+
+    const input = document.getElementById('admin-secret');
+    const status = document.getElementById('admin-status');
+    const unlock = async () => {
+      const attempt = input.value.trim();
+      if (!attempt) return;
+      status.textContent = 'checking...';
+      status.className = 'submit-status';
+      try {
+        await adminFetch(`/admin/picks/${season.id}${leaguePath}`, attempt);
+        saveAdminSecret(leagueId, attempt);
+        renderAdmin(app, leagueId);
+      } catch (e) {
+        status.textContent = e.status === 401 ? 'wrong secret' : e.message;
+        status.className = 'submit-status error';
+      }
+    };
+    document.getElementById('admin-unlock').addEventListener('click', unlock);
+    input.addEventListener('keydown', e => { if (e.key === 'Enter') unlock(); });
+    return;
+  }
+
+  const { picks, deleted, config, siteAdmin } = data;
+  const open = config.open !== false;
+  const closed = config.deadline && new Date() >= new Date(config.deadline);
+
+  // submissions window
+  html += `<section><h2>submissions</h2>`;
+  html += `<p class="section-note">${!open ? 'closed by an admin' : closed ? `closed since ${formatDeadline(new Date(config.deadline))}` : config.deadline ? `open until ${formatDeadline(new Date(config.deadline))}` : 'open with no deadline'}.</p>`;
+  html += `<div class="form-row">`;
+  html += `<div class="form-field"><label for="admin-open">accepting picks</label><select id="admin-open"><option value="true"${open ? ' selected' : ''}>open</option><option value="false"${open ? '' : ' selected'}>closed</option></select></div>`;
+  html += `<div class="form-field"><label for="admin-deadline">deadline</label><input type="datetime-local" id="admin-deadline" value="${toLocalInput(config.deadline)}"></div>`;
+  html += `</div>`;
+  html += `<p class="section-note">saving also sends the season's roster rules (${season.picksPerPlayer} picks, ${season.alternates} alternate${season.alternates === 1 ? '' : 's'}, the cast) so the worker checks submissions the same way the form does.</p>`;
+  html += `<button type="button" id="admin-save-config" class="submit-btn">save</button>`;
+  html += `</section>`;
+
+  // every roster, visible to admins even while sealed
+  html += `<section><h2>rosters (${picks.length})</h2>`;
+  if (picks.length === 0) {
+    html += `<p class="section-note">no picks submitted yet.</p>`;
+  } else {
+    html += `<div class="picks-scroll"><table class="standings admin-table"><thead><tr><th>player</th><th>picks</th><th class="submitted-col">submitted</th><th class="submitted-col">updated</th><th></th></tr></thead><tbody>`;
+    for (const p of picks) {
+      const alts = (p.alternates || []).length ? ` <span class="admin-alts">alt: ${p.alternates.join(', ')}</span>` : '';
+      html += `<tr><td>${p.name}</td><td>${p.picks.join(', ')}${alts}</td>`;
+      html += `<td class="submitted-col">${p.submittedAt ? formatTimestamp(p.submittedAt) : '—'}</td>`;
+      html += `<td class="submitted-col">${p.updatedAt ? formatTimestamp(p.updatedAt) : '—'}</td>`;
+      html += `<td><button type="button" class="admin-history admin-action" data-name="${p.name}">history</button> `;
+      html += `<button type="button" class="admin-action" data-action="delete-pick" data-name="${p.name}">delete</button></td></tr>`;
+    }
+    html += `</tbody></table></div>`;
+  }
+  html += `</section>`;
+
+  if (deleted.length > 0) {
+    html += `<section><h2>deleted</h2>`;
+    html += `<table class="standings admin-table"><thead><tr><th>player</th><th>picks</th><th class="submitted-col">deleted</th><th></th></tr></thead><tbody>`;
+    for (const p of deleted) {
+      html += `<tr><td>${p.name}</td><td>${p.picks.join(', ')}</td><td class="submitted-col">${formatTimestamp(p.deletedAt)}</td>`;
+      html += `<td><button type="button" class="admin-action" data-action="restore-pick" data-name="${p.name}">restore</button></td></tr>`;
+    }
+    html += `</tbody></table></section>`;
+  }
+
+  // every admin's config save sends the cast, not just the site admin's
+  const { contestants } = await loadSeasonData(season.id, leagueId);
+
+  // results as they air; every league scores them, so only the site-wide secret can record one
+  let live = [];
+  if (siteAdmin && season.status === 'active') {
+    try {
+      const res = await fetch(`${WORKER_URL}/events/${season.id}`);
+      if (res.ok) live = (await res.json()).events || [];
+    } catch (e) {}
+
+    const lastLive = live.filter(e => e.episode).pop();
+    const episode = lastLive ? lastLive.episode : lastEpisode(contestants, season.contestantCount) + 1;
+    const options = names => names.map(n => `<option value="${n}">${n}</option>`).join('');
+    const names = contestants.map(c => c.name);
+    html += `<section><h2>live results</h2>`;
+    html += `<p class="section-note">results recorded here show up in the standings right away. the next scrape checks them against the wiki and flags anything it disagrees with.</p>`;
+    html += `<div class="form-row">`;
+    html += `<div class="form-field"><label for="event-type">result</label><select id="event-type">${Object.keys(EVENT_HANDLERS).filter(t => t !== 'bonus').map(t => `<option value="${t}">${t.replace(/_/g, ' ')}</option>`).join('')}</select></div>`;
+    html += `<div class="form-field"><label for="event-episode">episode</label><input type="number" id="event-episode" min="1" value="${episode}"></div>`;
+    html += `<div class="form-field" data-types="${Object.keys(EVENT_HANDLERS).filter(t => t !== 'merge').join(' ')}"><label for="event-contestant">contestant</label><select id="event-contestant">${options(names)}</select></div>`;
+    html += `<div class="form-field" data-types="eliminated"><label for="event-method">how</label><select id="event-method">${options(['voted out', 'medevac', 'quit', 'fire-making', 'runner-up'])}</select></div>`;
+    html += `<div class="form-field" data-types="eliminated"><label for="event-jury">jury</label><select id="event-jury"><option value="">no</option><option value="true">yes</option></select></div>`;
+    html += `<div class="form-field" data-types="vote_received votes_nullified"><label for="event-count">how many</label><input type="number" id="event-count" min="1" value="1"></div>`;
+    html += `<div class="form-field" data-types="jury_vote"><label for="event-for">voted for</label><select id="event-for">${options(names)}</select></div>`;
+    html += `<div class="form-field" data-types="tribe_swap merge"><label for="event-tribe">tribe</label><input type="text" id="event-tribe"></div>`;
+    html += `</div>`;
+    html += `<button type="button" id="admin-record" class="submit-btn">record</button>`;
+
+    if (live.length > 0) {
+      const retracted = new Set(live.filter(e => e.type === 'retract').map(e => e.index));
+      html += `<table class="standings admin-table"><thead><tr><th>ep</th><th>result</th><th class="submitted-col">recorded</th><th></th></tr></thead><tbody>`;
+      live.forEach((e, i) => {
+        if (e.type === 'retract') return;
+        html += `<tr${retracted.has(i) ? ' class="retracted"' : ''}><td>${e.episode}</td><td>${describeEvent(e)}</td><td class="submitted-col">${formatTimestamp(e.recordedAt)}</td>`;
+        html += `<td>${retracted.has(i) ? 'retracted' : `<button type="button" class="admin-retract admin-action" data-index="${i}">retract</button>`}</td></tr>`;
+      });
+      html += `</tbody></table>`;
+    }
+    html += `</section>`;
+  }
+
+  const fileName = leagueId === DEFAULT_LEAGUE ? 'picks.json' : `picks-${leagueId}.json`;
+  html += `<section><h2>export</h2>`;
+  html += `<p class="section-note">rosters without tokens or timestamps, ready to commit as data/${season.id}/${fileName}.</p>`;
+  html += `<button type="button" id="admin-export" class="submit-btn">download ${fileName}</button>`;
+  html += `</section>`;
+
+  // what admins have done this season, newest first
+  const { entries } = await adminFetch(`/admin/audit/${season.id}${leaguePath}`, secret);
+  html += `<section><h2>audit log</h2>`;
+  if (entries.length === 0) {
+    html += `<p class="section-note">no admin actions yet.</p>`;
+  } else {
+    html += `<table class="standings admin-table"><thead><tr><th class="submitted-col">when</th><th>action</th><th>by</th></tr></thead><tbody>`;
+    for (const entry of entries.slice(0, 50)) {
+      const detail = entry.name || (entry.changes ? Object.entries(entry.changes).map(([k, v]) => `${k}: ${v}`).join(', ') : '') ||
+        (entry.event ? `${entry.event.type.replace(/_/g, ' ')} ${entry.event.contestant || ''}` : '');
+      html += `<tr><td class="submitted-col">${formatTimestamp(entry.at)}</td><td>${entry.action}${detail ? ` <span class="admin-alts">${detail}</span>` : ''}</td><td class="submitted-col">${entry.actor}</td></tr>`;
+    }
+    html += `</tbody></table>`;
+  }
+  html += `</section>`;
+
+  html += `<div id="admin-status" class="submit-status"></div>`;
+  html += `<p><button type="button" id="admin-sign-out" class="admin-action">forget secret on this device</button></p>`;
+  app.innerHTML = html;
+
+  const status = document.getElementById('admin-status');
+  const run = async (work, done) => {
+    status.textContent = 'saving...';
+    status.className = 'submit-status';
+    try {
+      await work();
+      delete seasonDataCache[pool];
+      status.textContent = done;
+      status.className = 'submit-status success';
+      setTimeout(() => renderAdmin(app, leagueId), 800);
+    } catch (e) {
+      status.textContent = e.message;
+      status.className = 'submit-status error';
+    }
+  };
+
+  document.getElementById('admin-save-config').addEventListener('click', () => {
+    const deadline = document.getElementById('admin-deadline').value;
+    // the season's roster rules ride along so the worker validates submissions the way the form does
+    run(() => adminFetch('/admin/config', secret, {
+      season: season.id,
+      ...leagueFields,
+      open: document.getElementById('admin-open').value === 'true',
+      deadline: deadline ? new Date(deadline).toISOString() : null,
+      picksPerPlayer: season.picksPerPlayer,
+      alternates: season.alternates,
+      ...(contestants.length ? { contestants: contestants.map(c => c.name) } : {})
+    }), 'settings saved');
+  });
+
+  app.querySelectorAll('.admin-action[data-action]').forEach(btn => btn.addEventListener('click', () => {
+    const { action, name } = btn.dataset;
+    if (action === 'delete-pick' && !confirm(`delete ${name}'s picks? you can restore them afterwards.`)) return;
+    run(() => adminFetch(`/admin/${action}`, secret, { season: season.id, ...leagueFields, name }),
+      action === 'delete-pick' ? `deleted ${name}` : `restored ${name}`);
+  }));
+
+  // every league's standings replay the same results
+  const recordEvent = event => run(async () => {
+    await adminFetch('/admin/event', secret, { season: season.id, event });
+    for (const key of Object.keys(seasonDataCache)) {
+      if (key === season.id || key.endsWith(`/${season.id}`)) delete seasonDataCache[key];
+    }
+  }, event.type === 'retract' ? 'result retracted' : 'result recorded');
+
+  const typeSelect = document.getElementById('event-type');
+  if (typeSelect) {
+    const showFields = () => app.querySelectorAll('[data-types]').forEach(el => {
+      el.hidden = !el.dataset.types.split(' ').includes(typeSelect.value);
+    });
+    typeSelect.addEventListener('change', showFields);
+    showFields();
+
+    document.getElementById('admin-record').addEventListener('click', () => {
+      const type = typeSelect.value;
+      const value = id => document.getElementById(id).value.trim();
+      const shown = id => !document.getElementById(id).closest('[data-types]').hidden;
+      const event = { type, episode: Number(value('event-episode')) };
+      if (shown('event-contestant')) event.contestant = value('event-contestant');
+      if (shown('event-method')) event.method = value('event-method');
+      if (shown('event-jury') && value('event-jury')) event.jury = true;
+      if (shown('event-count') && Number(value('event-count')) > 1) event.count = Number(value('event-count'));
+      if (shown('event-for')) event.for = value('event-for');
+      if (shown('event-tribe')) event.tribe = value('event-tribe').toLowerCase();
+      recordEvent(event);
+    });
+
+    app.querySelectorAll('.admin-retract').forEach(btn => btn.addEventListener('click', () => {
+      if (confirm('retract this result?')) recordEvent({ type: 'retract', index: Number(btn.dataset.index) });
+    }));
+  }
+
+  document.getElementById('admin-export').addEventListener('click', async () => {
+    try {
+      const exported = await adminFetch(`/admin/export/${season.id}${leaguePath}`, secret);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([formatRows(exported)], { type: 'application/json' }));
+      link.download = fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    } catch (e) {
+      status.textContent = e.message;
+      status.className = 'submit-status error';
+    }
+  });
+
+  // every saved version of one roster, opened under its row
+  app.querySelectorAll('.admin-history').forEach(btn => btn.addEventListener('click', async () => {
+    const row = btn.closest('tr');
+    if (row.nextElementSibling && row.nextElementSibling.classList.contains('admin-versions')) {
+      row.nextElementSibling.remove();
+      return;
+    }
+    const { name } = btn.dataset;
+    try {
+      const { versions } = await adminFetch(`/admin/history/${season.id}${leaguePath}?name=${encodeURIComponent(name)}`, secret);
+      let rows = '';
+      versions.slice().reverse().forEach((v, i) => {
+        const alts = (v.alternates || []).length ? ` <span class="admin-alts">alt: ${v.alternates.join(', ')}</span>` : '';
+        const restore = i === 0 ? '<span class="admin-alts">current</span>' : `<button type="button" class="admin-action" data-version="${v.version}">restore</button>`;
+        rows += `<li><span class="submitted-col">${formatTimestamp(v.savedAt)} &middot; ${v.reason}</span> ${v.picks.join(', ')}${alts} ${restore}</li>`;
+      });
+      const detail = document.createElement('tr');
+      detail.className = 'admin-versions';
+      detail.innerHTML = `<td colspan="5">${versions.length ? `<ol class="admin-version-list">${rows}</ol>` : '<span class="admin-alts">no saved versions yet</span>'}</td>`;
+      row.after(detail);
+      detail.querySelectorAll('[data-version]').forEach(b => b.addEventListener('click', () => {
+        if (!confirm(`make this ${name}'s current roster?`)) return;
+        run(() => adminFetch('/admin/restore-version', secret, { season: season.id, ...leagueFields, name, version: b.dataset.version }), `restored an earlier roster for ${name}`);
+      }));
+    } catch (e) {
+      status.textContent = e.message;
+      status.className = 'submit-status error';
+    }
+  }));
+
+  document.getElementById('admin-sign-out').addEventListener('click', () => {
+    saveAdminSecret(leagueId, null);
+    renderAdmin(app, leagueId);
+  });
+}
+
+// --- sealed picks ---
+
+function renderSealedPicks(sealed) {
+  const deadline = new Date(sealed.deadline);
+  let html = `<div class="sealed-callout">picks sealed until ${formatDeadline(deadline)}</div>`;
+  if (sealed.entries.length === 0) {
+    html += `<p class="section-note">no picks submitted yet.</p>`;
+    return html;
+  }
+  html += `<p class="section-note">${sealed.entries.length} roster${sealed.entries.length === 1 ? '' : 's'} in. everyone's picks are revealed when submissions close.</p>`;
+  html += `<table class="standings"><thead><tr><th>player</th><th class="submitted-col">submitted</th></tr></thead><tbody>`;
+  for (const entry of sealed.entries) {
+    const edited = entry.updatedAt ? ' (edited)' : '';
+    html += `<tr><td>${entry.name}</td><td class="submitted-col">${formatTimestamp(entry.updatedAt || entry.submittedAt)}${edited}</td></tr>`;
+  }
+  html += `</tbody></table>`;
+  return html;
+}
+
+// re-render once the deadline passes so an open tab reveals the picks by itself
+let revealTimer = null;
+function scheduleReveal(pool, deadline) {
+  clearTimeout(revealTimer);
+  const ms = new Date(deadline) - Date.now();
+  if (ms <= 0 || ms > 24 * 60 * 60 * 1000) return;
+  revealTimer = setTimeout(() => {
+    delete seasonDataCache[pool];
+    router();
+  }, ms + 1000);
+}
+
 // --- helpers ---
 
+function formatDeadline(date) {
+  return date.toLocaleDateString('en-us', { weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+}
+
+function formatTimestamp(iso) {
+  return new Date(iso).toLocaleDateString('en-us', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+const CHART_COLORS = ['#b5563e', '#5a8a5e', '#6a7ab5', '#c4a46c', '#8e3f2b', '#7a6b5a', '#c4763e', '#3a2e24'];
+
+// svg line chart of every player's total after each episode
+function pointsChart(history, stepLabel) {
+  const players = history[history.length - 1].standings.map(p => p.name);
+  const totals = name => history.map(h => h.standings.find(p => p.name === name).total);
+  const maxPts = Math.max(1, ...players.flatMap(totals));
+
+  const width = 600, height = 260, left = 34, right = 12, top = 12, bottom = 28;
+  const x = i => left + (history.length === 1 ? 0 : i * (width - left - right) / (history.length - 1));
+  const y = pts => top + (height - top - bottom) * (1 - pts / maxPts);
+
+  let svg = `<svg class="points-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="points over time">`;
+
+  // gridlines: zero, midpoint and max
+  for (const pts of [0, Math.round(maxPts / 2), maxPts]) {
+    svg += `<line class="grid" x1="${left}" x2="${width - right}" y1="${y(pts)}" y2="${y(pts)}"></line>`;
+    svg += `<text class="axis" x="${left - 6}" y="${y(pts) + 4}" text-anchor="end">${pts}</text>`;
+  }
+  history.forEach((h, i) => {
+    svg += `<text class="axis" x="${x(i)}" y="${height - 8}" text-anchor="middle">${h.episode}</text>`;
+  });
+
+  players.forEach((name, n) => {
+    const color = CHART_COLORS[n % CHART_COLORS.length];
+    const pts = totals(name);
+    svg += `<polyline fill="none" stroke="${color}" stroke-width="2" points="${pts.map((p, i) => `${x(i)},${y(p)}`).join(' ')}"></polyline>`;
+    pts.forEach((p, i) => {
+      svg += `<circle cx="${x(i)}" cy="${y(p)}" r="3" fill="${color}"><title>${name}: ${p} pts after ${stepLabel} ${history[i].episode}</title></circle>`;
+    });
+  });
+  svg += `</svg>`;
+
+  let legend = `<ul class="chart-legend">`;
+  players.forEach((name, n) => {
+    legend += `<li><span class="swatch" style="background:${CHART_COLORS[n % CHART_COLORS.length]}"></span>${name}</li>`;
+  });
+  legend += `</ul>`;
+
+  return `<div class="chart-wrap">${svg}${legend}<p class="chart-caption">${stepLabel}</p></div>`;
+}
+
+function movementMarker(delta) {
+  if (!delta) return '';
+  if (delta > 0) return `<span class="move up" title="up ${delta} since last episode">&#9650;${delta}</span>`;
+  return `<span class="move down" title="down ${-delta} since last episode">&#9660;${-delta}</span>`;
+}
+
+// selectable contestant cards grouped by tribe, shared by submit and draft
+function contestantGrid(contestants) {
+  const tribes = [...new Set(contestants.map(c => c.tribe).filter(Boolean))];
+  let html = '';
+  for (const tribe of tribes) {
+    const tribeContestants = contestants.filter(c => c.tribe === tribe);
+    html += `<div class="tribe-section"><h2 class="tribe-name tribe-${tribe}">${tribe}</h2>`;
+    html += `<div class="contestant-grid">`;
+    for (const c of tribeContestants) {
+      const firstName = c.name.split(' ')[0];
+      const lastName = c.name.split(' ').slice(1).join(' ');
+      html += `<button type="button" class="contestant-card tribe-${c.tribe || ''}" data-name="${c.name}">`;
+      if (c.image) {
+        const smallImg = c.image.replace('-1024x683', '-150x150').replace('-1024x682', '-150x150');
+        html += `<div class="card-img"><img src="${smallImg}" alt="${c.name}" loading="lazy"></div>`;
+      }
+      html += `<div class="card-info">`;
+      html += `<span class="card-name">${firstName}</span>`;
+      html += `<span class="card-last">${lastName}</span>`;
+      if (c.bio) html += `<span class="card-bio">${c.bio}</span>`;
+      html += `</div>`;
+      html += `<div class="card-check">&#10003;</div>`;
+      html += `</button>`;
+    }
+    html += `</div></div>`;
+  }
+  return html;
+}
+
+// a contestant's name (or chip) linking to their page; unknown names stay plain text
+function contestantLink(c, base, seasonId, text = firstName(c), cls = '') {
+  const classes = `contestant-link${cls ? ` ${cls}` : ''}`;
+  if (!c) return `<span class="${classes}">${text}</span>`;
+  return `<a href="${base}/season/${seasonId}/contestant/${encodeURIComponent(c.name)}" class="${classes}">${text}</a>`;
+}
+
+function firstName(c) {
+  return c ? c.name.split(' ')[0] : '?';
+}
+
 function thumbnail(c) {
   if (!c || !c.image) return '';
   const src = c.image.replace('-1024x683', '-150x150').replace('-1024x682', '-150x150');
@@ -722,3 +2838,11 @@ function ordinal(n) {
 
 window.addEventListener('hashchange', router);
 window.addEventListener('DOMContentLoaded', router);
+
+// so a browser left on a local worker doesn't look like the real site
+if (WORKER_URL !== DEPLOYED_WORKER_URL) {
+  window.addEventListener('DOMContentLoaded', () => {
+    const footer = document.querySelector('footer');
+    if (footer) footer.textContent += ` · using the worker at ${WORKER_URL} (open with ?worker= to switch back)`;
+  });
+}
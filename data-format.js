@@ -0,0 +1,16 @@
+// the layout of the hand-kept files under data/: one entry per line, so a diff shows
+// exactly which roster or event changed. shared by app.js (the admin export) and the
+// scripts that write picks, predictions and events
+
+function jsonLine(value) {
+  if (Array.isArray(value)) return `[${value.map(jsonLine).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${jsonLine(v)}`);
+    return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return JSON.stringify(value);
+}
+
+export function formatRows(rows) {
+  return rows.length ? `[\n${rows.map(r => `  ${jsonLine(r)}`).join(',\n')}\n]\n` : '[]\n';
+}
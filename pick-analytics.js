@@ -0,0 +1,52 @@
+// how a season's rosters compare with each other, for the season page's pick analytics.
+// kept out of app.js so it can be tested without a browser; standings are
+// computeStandings results, contestants the season's cast
+
+// a pick is chalk when more than this share of rosters took it as a pick. with only two
+// rosters that means both, and a lone roster has no crowd to follow
+const CHALK_SHARE = 0.5;
+
+// how the rosters line up against each other: how often each contestant was taken,
+// and per player how far they strayed from the crowd and where their points came from
+export function computePickAnalytics(standings, contestants) {
+  const rosters = standings.length;
+  const popularity = new Map(contestants.map(c => [c, { contestant: c, picks: 0, alternates: 0 }]));
+  for (const result of standings) {
+    for (const p of result.picks) if (p.contestant) popularity.get(p.contestant).picks++;
+    for (const a of result.alternates) if (a.contestant) popularity.get(a.contestant).alternates++;
+  }
+  const pickCount = c => (c && popularity.has(c) ? popularity.get(c).picks : 0);
+  const isChalk = c => rosters > 1 && pickCount(c) > rosters * CHALK_SHARE;
+
+  const players = standings.map(result => {
+    const picked = result.picks.filter(p => p.contestant);
+    // 0 when every pick is on every other roster, 100 when none are on any
+    const contrarian = rosters > 1 && picked.length > 0
+      ? Math.round(100 * picked.reduce((sum, p) => sum + 1 - (pickCount(p.contestant) - 1) / (rosters - 1), 0) / picked.length)
+      : 0;
+    const scoring = [
+      ...result.picks.filter(p => !p.swappedOut),
+      ...result.alternates.filter(a => a.swappedIn)
+    ].filter(p => p.contestant);
+    const tribes = {};
+    for (const p of picked) {
+      if (p.contestant.tribe) tribes[p.contestant.tribe] = (tribes[p.contestant.tribe] || 0) + 1;
+    }
+    return {
+      name: result.name,
+      unique: picked.filter(p => pickCount(p.contestant) === 1).map(p => p.contestant),
+      contrarian,
+      chalk: scoring.filter(p => isChalk(p.contestant)).reduce((sum, p) => sum + p.total, 0),
+      leverage: scoring.filter(p => !isChalk(p.contestant)).reduce((sum, p) => sum + p.total, 0),
+      tribes
+    };
+  });
+
+  return {
+    popularity: [...popularity.values()]
+      .filter(p => p.picks + p.alternates > 0)
+      .sort((a, b) => b.picks - a.picks || b.alternates - a.alternates || a.contestant.name.localeCompare(b.contestant.name)),
+    untaken: contestants.filter(c => { const p = popularity.get(c); return p.picks + p.alternates === 0; }),
+    players
+  };
+}
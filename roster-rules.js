@@ -0,0 +1,98 @@
+// roster and weekly prediction validation shared by the forms in app.js and the
+// worker, so both reject the same submissions with the same messages.
+//
+// rules come from the season definition: { picksPerPlayer, alternates, contestants,
+// deadline, open, predictionCutoffs }. the app builds them from season.json, the
+// worker from the config an admin pushed; anything missing is simply not checked.
+
+export const NAME_MAX_LENGTH = 24;
+
+function checkName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) return 'enter your name';
+  if (trimmed.length > NAME_MAX_LENGTH) return `names can be at most ${NAME_MAX_LENGTH} characters`;
+  return null;
+}
+
+// returns { ok, errors } where errors maps a field (name, pin, picks, alternates,
+// alternateSlots, finalVotesGuess, or form for the submission as a whole) to one message
+export function validateRoster(submission, rules = {}, now = new Date()) {
+  const errors = {};
+  const { name, pin, picks, alternates = [], alternateSlots, finalVotesGuess } = submission;
+
+  if (rules.open === false) errors.form = 'submissions are not open';
+  else if (rules.deadline && now >= new Date(rules.deadline)) errors.form = 'submissions are closed';
+
+  const nameError = checkName(name);
+  if (nameError) errors.name = nameError;
+
+  if (pin != null && pin !== '' && !/^\d{4,8}$/.test(String(pin))) errors.pin = 'pin must be 4 to 8 digits';
+
+  const cast = Array.isArray(rules.contestants) ? new Set(rules.contestants) : null;
+  const listError = (list, count, noun) => {
+    if (!Array.isArray(list) || list.some(n => typeof n !== 'string')) return `${noun} must be a list of contestant names`;
+    if (count != null && list.length !== count) return `choose exactly ${count} ${count === 1 ? noun.replace(/s$/, '') : noun}`;
+    const twice = list.find((n, i) => list.indexOf(n) !== i);
+    if (twice) return `${twice} is chosen twice`;
+    const unknown = cast ? list.filter(n => !cast.has(n)) : [];
+    if (unknown.length) return `not in the cast: ${unknown.join(', ')}`;
+    return null;
+  };
+
+  const picksError = listError(picks, rules.picksPerPlayer, 'picks');
+  if (picksError) errors.picks = picksError;
+
+  const alternatesError = listError(alternates, rules.alternates, 'alternates');
+  if (alternatesError) errors.alternates = alternatesError;
+  else if (Array.isArray(picks)) {
+    const both = alternates.find(n => picks.includes(n));
+    if (both) errors.alternates = `${both} can't be both a pick and an alternate`;
+  }
+
+  if (alternateSlots != null) {
+    const slots = Array.isArray(picks) ? picks.length : 0;
+    if (!Array.isArray(alternateSlots) || alternateSlots.length !== alternates.length ||
+        alternateSlots.some(i => !Number.isInteger(i) || i < 0 || i >= slots)) {
+      errors.alternateSlots = 'each alternate must back up one of your picks';
+    }
+  }
+
+  // the optional tiebreaker guess at the winner's jury votes
+  if (finalVotesGuess != null && (!Number.isInteger(finalVotesGuess) || finalVotesGuess < 0)) {
+    errors.finalVotesGuess = 'guess a whole number of votes';
+  }
+
+  return { ok: Object.keys(errors).length === 0, errors };
+}
+
+// one week's guess of who goes home (boot) and, optionally, who wins immunity.
+// rules.predictionCutoffs holds one cutoff per episode, episode 1 first; an episode
+// without one isn't open. errors map name, episode, boot, immunity or form to a message
+export function validatePrediction(prediction, rules = {}, now = new Date()) {
+  const errors = {};
+  const { name, episode, boot, immunity } = prediction;
+
+  if (!Number.isInteger(episode) || episode < 1) errors.episode = 'choose an episode';
+  else if (Array.isArray(rules.predictionCutoffs)) {
+    const cutoff = rules.predictionCutoffs[episode - 1];
+    if (!cutoff) errors.form = `predictions for episode ${episode} are not open`;
+    else if (now >= new Date(cutoff)) errors.form = `predictions for episode ${episode} are closed`;
+  }
+
+  const nameError = checkName(name);
+  if (nameError) errors.name = nameError;
+
+  const cast = Array.isArray(rules.contestants) ? new Set(rules.contestants) : null;
+  const castError = n => cast && !cast.has(n) ? `not in the cast: ${n}` : null;
+
+  if (typeof boot !== 'string' || !boot) errors.boot = 'choose who goes home';
+  else if (castError(boot)) errors.boot = castError(boot);
+
+  if (immunity != null && immunity !== '') {
+    if (typeof immunity !== 'string') errors.immunity = 'choose who wins immunity';
+    else if (castError(immunity)) errors.immunity = castError(immunity);
+    else if (immunity === boot) errors.immunity = 'the immunity winner can\'t go home';
+  }
+
+  return { ok: Object.keys(errors).length === 0, errors };
+}
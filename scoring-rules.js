@@ -0,0 +1,52 @@
+// how one pick scores under season.json's contestant rules, shared by the standings in
+// app.js and its tests. roster rules (finish, predictions) need the whole roster and
+// stay in app.js. a contestant here is the replayed state: placement, method, jury,
+// episode and bonuses, each bonus a count or a list of episode numbers
+
+export const PLACEMENT_CURVES = {
+  // winner = contestantCount pts, first out = 1 pt
+  linear: (placement, season) => season.contestantCount + 1 - placement,
+  // explicit points per finishing spot, winner first; unlisted spots score 0
+  table: (placement, season, rule) => rule.table[placement - 1] || 0
+};
+
+export function isFinalist(c) {
+  return c.method === 'winner' || c.method === 'runner-up';
+}
+
+// episode a contestant went out in. untagged contestants fall back to boot
+// order (first out = 1) so older seasons can still be replayed. data/s49 is one
+// of them: its episode numbers weren't backfilled, so its history steps one boot
+// at a time until a scrape of the episode guide tags them
+export function eliminationEpisode(c, contestantCount) {
+  if (c.placement == null) return null;
+  return c.episode != null ? c.episode : contestantCount + 1 - c.placement;
+}
+
+// episodes a contestant lasted: boots survive every episode before theirs,
+// finalists and players still in the game survive every episode so far
+function episodesSurvived(c, season, episode) {
+  const out = eliminationEpisode(c, season.contestantCount);
+  if (out == null || isFinalist(c)) return episode;
+  return Math.min(out - 1, episode);
+}
+
+// bonuses are either a plain count or a list of episode numbers, one per event
+export function bonusCount(value) {
+  return Array.isArray(value) ? value.length : value;
+}
+
+const bonusOf = (c, key) => bonusCount((c.bonuses || {})[key] || 0);
+
+export const CONTESTANT_RULES = {
+  placement: (rule, c, season) => c.placement == null ? 0 : PLACEMENT_CURVES[rule.curve || 'linear'](c.placement, season, rule),
+  jury: (rule, c) => c.jury || isFinalist(c) ? rule.points : 0,
+  method: (rule, c) => c.method === rule.method ? rule.points : 0,
+  bonus: (rule, c) => bonusOf(c, rule.key) * rule.points,
+  survival: (rule, c, season, episode) => episodesSurvived(c, season, episode) * rule.points,
+  // the fire_win event names the winner of the final-four fire challenge; the loser's
+  // exit is method 'fire-making', so a method rule on it scores losing fire, not winning
+  fire: (rule, c) => bonusOf(c, 'fireWin') > 0 ? rule.points : 0,
+  // an idol_blindside event: voted out with an idol still in pocket (points usually negative)
+  blindside: (rule, c) => bonusOf(c, 'idolBlindside') > 0 ? bonusOf(c, 'idolBlindside') * rule.points : 0
+};
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+// keeps data/<season>/ in git and the worker's KV in step
+// usage: node scripts/admin.js <command> <seasonId> [name] [--league id] [--worker url]
+//   push-config   send picksPerPlayer, alternates, the cast, the deadline and the
+//                 prediction cutoffs to the worker
+//   pull-picks    write the worker's export to data/<seasonId>/picks.json (picks-<league>.json)
+//   pull-predictions  write every weekly guess to data/<seasonId>/predictions.json
+//                 (predictions-<league>.json)
+//   close-season  mark the season completed in seasons.json and season.json
+//   delete <name> remove a submission (it can be restored from #/admin)
+// the worker url defaults to WORKER_URL or the deployed worker; ADMIN_SECRET authorizes
+// (a league's own secret works for that league). SURVIVOR_ROOT points it at another
+// checkout of the data, which is how the tests run it
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { checkSeason, loadSeasonFiles } from './validate.js';
+import { formatRows } from '../data-format.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_ROOT = join(__dirname, '..');
+const DEFAULT_WORKER_URL = 'https://survivor-api.brostar.workers.dev';
+const DEFAULT_LEAGUE = 'family';
+
+// the worker config a season implies; fields the season doesn't set are left out
+export function seasonConfig(season, contestants) {
+  const config = {
+    picksPerPlayer: season.picksPerPlayer,
+    alternates: season.alternates,
+    contestants: contestants.map(c => c.name),
+    deadline: season.submissionDeadline,
+    predictionCutoffs: season.predictions && season.predictions.cutoffs,
+  };
+  return Object.fromEntries(Object.entries(config).filter(([, v]) => v != null));
+}
+
+async function callWorker(options, path, body) {
+  if (!options.secret) throw new Error('ADMIN_SECRET is not set');
+  const headers = { Authorization: `Bearer ${options.secret}` };
+  const init = body ? { method: 'POST', headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : { headers };
+  const res = await fetch(`${options.workerUrl}${path}`, init);
+  let data = {};
+  try { data = await res.json(); } catch (e) {}
+  if (!res.ok) throw new Error(`${path}: ${data.error || `request failed (${res.status})`}`);
+  return data;
+}
+
+function readJSON(path) {
+  if (!existsSync(path)) throw new Error(`${path} not found`);
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+const COMMANDS = {
+  async 'push-config'(seasonId, args, options) {
+    const dir = join(options.root, 'data', seasonId);
+    const config = seasonConfig(readJSON(join(dir, 'season.json')), readJSON(join(dir, 'contestants.json')));
+    const league = options.league === DEFAULT_LEAGUE ? {} : { league: options.league };
+    const { config: saved } = await callWorker(options, '/admin/config', { season: seasonId, ...league, ...config });
+    return `${seasonId}: pushed config (${Object.keys(config).join(', ')}); worker now has ${Object.keys(saved).join(', ')}`;
+  },
+
+  async 'pull-picks'(seasonId, args, options) {
+    // fail before calling the worker if the season isn't in this checkout
+    readJSON(join(options.root, 'data', seasonId, 'season.json'));
+    const leaguePath = options.league === DEFAULT_LEAGUE ? '' : `/${options.league}`;
+    const picks = await callWorker(options, `/admin/export/${seasonId}${leaguePath}`);
+    const file = options.league === DEFAULT_LEAGUE ? 'picks.json' : `picks-${options.league}.json`;
+
+    // the export has to pass scripts/validate.js alongside the season it belongs to
+    const problems = [];
+    const files = loadSeasonFiles(options.root, seasonId, problems);
+    const leaguesPath = join(options.root, 'data', 'leagues.json');
+    const draftLeagues = existsSync(leaguesPath) ? readJSON(leaguesPath).filter(l => l.draft).map(l => l.id) : [];
+    if (!problems.length) problems.push(...checkSeason(seasonId, { season: files.season, contestants: files.contestants, picks: { [file]: picks }, draftLeagues }));
+    if (problems.length) throw new Error(`${seasonId}: not writing ${file}, it would fail validation:\n${problems.join('\n')}`);
+    writeFileSync(join(options.root, 'data', seasonId, file), formatRows(picks));
+    return `${seasonId}: wrote ${picks.length} roster${picks.length === 1 ? '' : 's'} to data/${seasonId}/${file}`;
+  },
+
+  async 'pull-predictions'(seasonId, args, options) {
+    readJSON(join(options.root, 'data', seasonId, 'season.json'));
+    const leaguePath = options.league === DEFAULT_LEAGUE ? '' : `/${options.league}`;
+    const predictions = await callWorker(options, `/admin/predictions/${seasonId}${leaguePath}`);
+    const file = options.league === DEFAULT_LEAGUE ? 'predictions.json' : `predictions-${options.league}.json`;
+
+    const problems = [];
+    const files = loadSeasonFiles(options.root, seasonId, problems);
+    if (!problems.length) problems.push(...checkSeason(seasonId, { season: files.season, contestants: files.contestants, predictions: { [file]: predictions } }));
+    if (problems.length) throw new Error(`${seasonId}: not writing ${file}, it would fail validation:\n${problems.join('\n')}`);
+    writeFileSync(join(options.root, 'data', seasonId, file), formatRows(predictions));
+    return `${seasonId}: wrote ${predictions.length} prediction${predictions.length === 1 ? '' : 's'} to data/${seasonId}/${file}`;
+  },
+
+  // edits the status in place so the rest of each file keeps its hand formatting. both
+  // files are checked before either is written, so a refusal leaves them in step
+  async 'close-season'(seasonId, args, options) {
+    const seasonPath = join(options.root, 'data', seasonId, 'season.json');
+    const seasonsPath = join(options.root, 'data', 'seasons.json');
+    const seasonText = readFileSync(seasonPath, 'utf-8');
+    if (!/"status":\s*"active"/.test(seasonText)) throw new Error(`${seasonId} is not active`);
+    const lines = readFileSync(seasonsPath, 'utf-8').split('\n');
+    const i = lines.findIndex(line => line.includes(`"id": "${seasonId}"`));
+    if (i === -1) throw new Error(`${seasonId} is not listed in data/seasons.json`);
+
+    writeFileSync(seasonPath, seasonText.replace(/"status":\s*"active"/, '"status": "completed"'));
+    lines[i] = lines[i].replace(/"status":\s*"active"/, '"status": "completed"');
+    writeFileSync(seasonsPath, lines.join('\n'));
+    return `${seasonId}: marked completed in seasons.json and season.json`;
+  },
+
+  async delete(seasonId, [name], options) {
+    if (!name) throw new Error('usage: delete <seasonId> <name>');
+    const league = options.league === DEFAULT_LEAGUE ? {} : { league: options.league };
+    const { remaining } = await callWorker(options, '/admin/delete-pick', { season: seasonId, ...league, name: name.trim().toLowerCase() });
+    return `${seasonId}: deleted ${name}'s picks (${remaining} left)`;
+  },
+};
+
+// argv without the node/script prefix; returns the line to print
+export async function run(argv, env = process.env) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) flags[argv[i].slice(2)] = argv[++i];
+    else positional.push(argv[i]);
+  }
+  const [command, seasonId, ...args] = positional;
+  if (!COMMANDS[command] || !seasonId) {
+    throw new Error(`usage: node scripts/admin.js <${Object.keys(COMMANDS).join('|')}> <seasonId> [name] [--league id] [--worker url]`);
+  }
+  const options = {
+    league: flags.league || DEFAULT_LEAGUE,
+    workerUrl: (flags.worker || env.WORKER_URL || DEFAULT_WORKER_URL).replace(/\/$/, ''),
+    secret: env.ADMIN_SECRET,
+    root: env.SURVIVOR_ROOT || DEFAULT_ROOT,
+  };
+  return COMMANDS[command](seasonId, args, options);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  run(process.argv.slice(2)).then(console.log).catch(e => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
@@ -1,17 +1,37 @@
 #!/usr/bin/env node
 
-// scrapes survivor.fandom.com for elimination data + gameplay bonuses
-// usage: node scripts/scrape.js [seasonId]
+// scrapes survivor.fandom.com for elimination data + gameplay bonuses,
+// appending them to data/<seasonId>/events.json
+// usage: node scripts/scrape.js [seasonId] [--dry-run] [--save-fixture]
 // defaults to all active seasons in data/seasons.json
+// --dry-run prints the events it would log without writing anything
+// nothing is written if the result would fail scripts/validate.js
+// --save-fixture also saves the fetched page to test/fixtures/<seasonId>.html
 
-import { readFileSync, writeFileSync } from 'fs';
+import { existsSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import * as cheerio from 'cheerio';
+import { checkSeason, eventPlacements } from './validate.js';
+import { formatRows } from '../data-format.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
 
+const WORKER_URL = process.env.WORKER_URL || 'https://survivor-api.brostar.workers.dev';
+
+// results an admin recorded through the worker; the scrape goes ahead without them if it's down
+async function fetchLiveEvents(seasonId) {
+  try {
+    const res = await fetch(`${WORKER_URL}/events/${seasonId}`);
+    if (!res.ok) throw new Error(`status ${res.status}`);
+    return (await res.json()).events || [];
+  } catch (e) {
+    console.warn(`${seasonId}: couldn't load live results (${e.message}), skipping reconciliation`);
+    return [];
+  }
+}
+
 async function fetchWikiHTML(slug) {
   const url = `https://survivor.fandom.com/api.php?action=parse&page=${encodeURIComponent(slug)}&format=json&prop=text`;
   const res = await fetch(url);
@@ -21,10 +41,320 @@ async function fetchWikiHTML(slug) {
   return data.parse.text['*'];
 }
 
-function parseContestants(html, existingContestants) {
+// --- table helpers ---
+
+// lowercased cell text with line breaks as commas and footnote markers dropped
+function cellText($, cell) {
+  const $cell = $(cell).clone();
+  $cell.find('br').replaceWith(', ');
+  $cell.find('sup').remove();
+  return $cell.text().replace(/\[[^\]]*\]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// expand a table into rows of { text, header } cells, repeating rowspan/colspan
+// cells so every row has one entry per column
+function tableGrid($, table) {
+  const grid = [];
+  $(table).find('tr').each((r, row) => {
+    grid[r] = grid[r] || [];
+    let col = 0;
+    $(row).children('th, td').each((_, cell) => {
+      while (grid[r][col] !== undefined) col++;
+      const rowspan = parseInt($(cell).attr('rowspan')) || 1;
+      const colspan = parseInt($(cell).attr('colspan')) || 1;
+      const entry = { text: cellText($, cell), header: cell.tagName === 'th' };
+      for (let dr = 0; dr < rowspan; dr++) {
+        grid[r + dr] = grid[r + dr] || [];
+        for (let dc = 0; dc < colspan; dc++) grid[r + dr][col + dc] = entry;
+      }
+      col += colspan;
+    });
+  });
+  return grid.filter(row => row.length > 0);
+}
+
+// leading all-header rows, joined per column ("challenge winner(s) immunity")
+function headerLabels(grid) {
+  const headerRows = [];
+  for (const row of grid) {
+    if (!row.every(cell => cell && cell.header)) break;
+    headerRows.push(row);
+  }
+  const width = Math.max(0, ...grid.map(row => row.length));
+  const labels = [];
+  for (let c = 0; c < width; c++) {
+    const parts = [];
+    for (const row of headerRows) {
+      const text = row[c] && row[c].text;
+      if (text && parts[parts.length - 1] !== text) parts.push(text);
+    }
+    labels.push(parts.join(' '));
+  }
+  return { labels, bodyStart: headerRows.length };
+}
+
+// match a wiki name (first name, nickname or full name) to a contestant
+function matchContestant(rawName, names) {
+  const raw = rawName.trim().toLowerCase();
+  if (!raw) return null;
+  // full names first, so a shared surname (nate and alex moore) can't claim the wrong player
+  const full = names.find(name => raw.includes(name));
+  if (full) return full;
+  // then an exact first name; short nicknames like "q" only count this way
+  const first = names.find(name => name.split(' ')[0] === raw.split(' ')[0]);
+  if (first) return first;
+  return names.find(name => name.includes(raw) ||
+    raw.split(' ').some(part => name.includes(part) && part.length > 2)) || null;
+}
+
+function splitNames(text) {
+  return text.split(/,|\band\b|\/|&/).map(t => t.trim()).filter(Boolean);
+}
+
+function episodeNumber(text) {
+  const m = text && text.match(/\d+/);
+  return m ? parseInt(m[0]) : null;
+}
+
+// --- structured season data ---
+
+// season summary: one row per episode with reward/immunity winners and boots
+function parseSeasonSummary($, names) {
+  let episodes = null;
+  $('table.wikitable').each((_, table) => {
+    if (episodes) return;
+    const grid = tableGrid($, table);
+    const { labels, bodyStart } = headerLabels(grid);
+    const col = test => labels.findIndex(test);
+    const episodeCol = col(l => l.includes('episode') && !l.includes('title'));
+    const rewardCol = col(l => l.includes('reward'));
+    const immunityCol = col(l => l.includes('immunity'));
+    const eliminatedCol = col(l => l.includes('eliminated'));
+    if (episodeCol === -1 || immunityCol === -1 || eliminatedCol === -1) return;
+
+    const byEpisode = new Map();
+    for (const row of grid.slice(bodyStart)) {
+      const episode = episodeNumber(row[episodeCol] && row[episodeCol].text);
+      if (episode == null) continue;
+      if (!byEpisode.has(episode)) byEpisode.set(episode, { episode, reward: [], immunity: [], eliminated: [] });
+      const entry = byEpisode.get(episode);
+      const add = (list, cell) => {
+        if (!cell) return;
+        for (const raw of splitNames(cell.text)) {
+          const name = matchContestant(raw, names);
+          if (name && !list.includes(name)) list.push(name);
+        }
+      };
+      if (rewardCol !== -1) add(entry.reward, row[rewardCol]);
+      add(entry.immunity, row[immunityCol]);
+      add(entry.eliminated, row[eliminatedCol]);
+    }
+    episodes = Array.from(byEpisode.values()).sort((a, b) => a.episode - b.episode);
+  });
+  return episodes;
+}
+
+// voting history: one column per tribal council, one row per voter
+function parseVotingHistory($, names) {
+  let tribals = null;
+  $('table.wikitable').each((_, table) => {
+    if (tribals) return;
+    const grid = tableGrid($, table);
+    const label = row => (row[0] && row[0].text) || '';
+    const episodeRow = grid.find(row => label(row) === 'episode');
+    const eliminatedRow = grid.find(row => label(row).startsWith('eliminated'));
+    const voterIdx = grid.findIndex(row => label(row) === 'voter' || label(row) === 'voters');
+    if (!episodeRow || !eliminatedRow || voterIdx === -1) return;
+
+    const columns = [];
+    episodeRow.forEach((cell, c) => {
+      const episode = c > 0 ? episodeNumber(cell && cell.text) : null;
+      if (episode == null) return;
+      const eliminated = eliminatedRow[c] ? matchContestant(eliminatedRow[c].text, names) : null;
+      columns.push({ col: c, episode, eliminated, votes: [] });
+    });
+
+    for (const row of grid.slice(voterIdx + 1)) {
+      // a rowspanned "voter" label pushes the name into the second column
+      const nameCell = label(row) === 'voter' || label(row) === 'voters' ? row[1] : row[0];
+      const voter = nameCell ? matchContestant(nameCell.text, names) : null;
+      if (!voter) continue;
+      for (const column of columns) {
+        const cell = row[column.col];
+        if (!cell || cell === nameCell) continue;
+        const target = matchContestant(cell.text, names);
+        if (target) column.votes.push({ voter, target });
+      }
+    }
+    tribals = columns.map(({ col, ...tribal }) => tribal);
+  });
+  return tribals;
+}
+
+// idol and advantage tables: who found what in which episode, and when it was played
+function parseAdvantages($, names) {
+  let events = null;
+  $('table.wikitable').each((_, table) => {
+    const grid = tableGrid($, table);
+    const { labels, bodyStart } = headerLabels(grid);
+    const col = test => labels.findIndex(test);
+    const foundByCol = col(l => l.includes('found by') || l.includes('finder') || l.includes('holder'));
+    const playedByCol = col(l => l.includes('played by'));
+    if (foundByCol === -1 || playedByCol === -1) return;
+    const typeCol = col(l => l.includes('advantage') || l.includes('idol') || l.includes('type'));
+    const foundEpCol = col((l, i) => i !== foundByCol && l.includes('found'));
+    const playedForCol = col(l => l.includes('played for') || l.includes('played on'));
+    const playedEpCol = col((l, i) => i !== playedByCol && i !== playedForCol && l.includes('played'));
+
+    events = events || [];
+    for (const row of grid.slice(bodyStart)) {
+      const typeText = typeCol !== -1 && row[typeCol] ? row[typeCol].text : 'idol';
+      const kind = typeText.includes('idol') ? 'idol' : 'advantage';
+      const finder = row[foundByCol] ? matchContestant(row[foundByCol].text, names) : null;
+      if (finder) {
+        events.push({ type: `${kind}_found`, contestant: finder, episode: episodeNumber(foundEpCol !== -1 && row[foundEpCol] && row[foundEpCol].text) });
+      }
+      const player = row[playedByCol] ? matchContestant(row[playedByCol].text, names) : null;
+      if (player) {
+        const target = playedForCol !== -1 && row[playedForCol] ? matchContestant(row[playedForCol].text, names) : null;
+        events.push({ type: `${kind}_played`, contestant: player, target: target || player, episode: episodeNumber(playedEpCol !== -1 && row[playedEpCol] && row[playedEpCol].text) });
+      }
+    }
+  });
+  return events;
+}
+
+// episode-by-episode record of the season: challenge winners, tribal councils
+// with every vote, and idol/advantage events
+export function parseEpisodes(html, names) {
+  const $ = cheerio.load(html);
+  const summary = parseSeasonSummary($, names);
+  const tribals = parseVotingHistory($, names);
+  const advantages = parseAdvantages($, names);
+
+  const byEpisode = new Map();
+  const entry = episode => {
+    if (!byEpisode.has(episode)) byEpisode.set(episode, { episode, reward: [], immunity: [], eliminated: [], tribals: [], events: [] });
+    return byEpisode.get(episode);
+  };
+  for (const e of summary || []) Object.assign(entry(e.episode), e);
+  for (const t of tribals || []) {
+    const votesReceived = {};
+    for (const v of t.votes) votesReceived[v.target] = (votesReceived[v.target] || 0) + 1;
+    entry(t.episode).tribals.push({ eliminated: t.eliminated, votes: t.votes, votesReceived });
+  }
+  for (const e of advantages || []) {
+    if (e.episode != null) entry(e.episode).events.push(e);
+  }
+
+  return {
+    found: { summary: !!summary, votes: !!tribals, advantages: !!advantages },
+    episodes: Array.from(byEpisode.values()).sort((a, b) => a.episode - b.episode)
+  };
+}
+
+// bonus counts as lists of episode numbers, one entry per event. only
+// categories whose source table was found are returned, so a page missing a
+// table never wipes existing counts
+export function deriveBonuses({ found, episodes }) {
+  const bonuses = new Map();
+  const add = (name, key, episode, times = 1) => {
+    if (!bonuses.has(name)) bonuses.set(name, {});
+    const b = bonuses.get(name);
+    b[key] = b[key] || [];
+    for (let i = 0; i < times; i++) b[key].push(episode);
+  };
+  const keys = [];
+  if (found.summary) keys.push('immunityWin', 'rewardWin');
+  if (found.votes) keys.push('votesReceived');
+  if (found.advantages) keys.push('idolFound', 'idolPlayed', 'advantageFound', 'advantagePlayed');
+  if (found.votes && found.advantages) keys.push('votesNullified');
+
+  for (const e of episodes) {
+    // individual wins only: tribe wins don't match a contestant name
+    if (found.summary) {
+      for (const name of e.immunity) add(name, 'immunityWin', e.episode);
+      for (const name of e.reward) add(name, 'rewardWin', e.episode);
+    }
+    for (const t of e.tribals) {
+      for (const [name, count] of Object.entries(t.votesReceived)) add(name, 'votesReceived', e.episode, count);
+    }
+    for (const ev of e.events) {
+      const key = { idol_found: 'idolFound', idol_played: 'idolPlayed', advantage_found: 'advantageFound', advantage_played: 'advantagePlayed' }[ev.type];
+      add(ev.contestant, key, e.episode);
+      // votes cast at the idol's target that night were nullified; credit whoever played it
+      if (ev.type === 'idol_played' && found.votes) {
+        for (const t of e.tribals) {
+          const nullified = t.votesReceived[ev.target] || 0;
+          if (nullified > 0) add(ev.contestant, 'votesNullified', e.episode, nullified);
+        }
+      }
+    }
+  }
+  return { keys, bonuses };
+}
+
+function isWinnerFinish(rawFinish) {
+  return rawFinish.includes('sole survivor') || rawFinish.includes('winner');
+}
+
+const ordinal = (text, label) => {
+  const m = text.match(new RegExp(`(\\d+)(?:st|nd|rd|th) ${label}`));
+  return m ? parseInt(m[1]) : null;
+};
+
+// where each finish sits in the boot order, from the finish text alone: the day they left
+// when the wiki gives one, otherwise jurors after pre-jury boots, each in their own count.
+// a medevac or quit with no day and no count has no key and is placed by finishPlacements
+function exitKey(rawFinish) {
+  const day = rawFinish.match(/day (\d+)/);
+  const juror = ordinal(rawFinish, 'jury');
+  const booted = ordinal(rawFinish, 'voted out');
+  const order = juror != null ? [1, juror] : booted != null ? [0, booted] : null;
+  return { day: day ? parseInt(day[1]) : null, order };
+}
+
+// compare two [n, n, ...] keys; equal keys fall back to table order
+function compareKeys(a, b) {
+  for (let i = 0; i < a.key.length; i++) if (a.key[i] !== b.key[i]) return a.key[i] - b.key[i];
+  return a.row - b.row;
+}
+
+// placements derived from the finish column rather than the table's row order: finalists
+// by their runner-up number, everyone else counted up from last place in the order they
+// left. a finish the text can't order (a medevac with no day) keeps its table neighbour:
+// it goes right after whoever precedes it in the table
+function finishPlacements(finished, castSize) {
+  const out = [];
+  const exits = [];
+  finished.forEach(({ contestant, rawFinish }, row) => {
+    if (/^\d+$/.test(rawFinish)) out.push({ contestant, placement: parseInt(rawFinish) });
+    else if (isWinnerFinish(rawFinish)) out.push({ contestant, placement: 1 });
+    else if (rawFinish.includes('runner')) out.push({ contestant, placement: 1 + (ordinal(rawFinish, 'runner') ?? 1) });
+    else exits.push({ contestant, row, ...exitKey(rawFinish) });
+  });
+
+  // every exit dated: the day orders them, the counts settle a double boot. otherwise
+  // order by the counts and slot each finish without one in behind its predecessor in the table
+  const byDay = exits.every(e => e.day != null);
+  const ordered = exits
+    .filter(e => byDay || e.order)
+    .map(e => ({ ...e, key: byDay ? [e.day, ...(e.order || [0, 0])] : e.order }))
+    .sort(compareKeys);
+  if (!byDay) {
+    for (const e of exits.filter(e => !e.order)) {
+      ordered.splice(ordered.findIndex(o => o.row === e.row - 1) + 1, 0, e);
+    }
+  }
+  ordered.forEach(({ contestant }, i) => out.push({ contestant, placement: castSize - i }));
+  return out;
+}
+
+export function parseContestants(html, existingContestants) {
   const $ = cheerio.load(html);
   const contestantMap = new Map();
   for (const c of existingContestants) contestantMap.set(c.name, { ...c });
+  const names = Array.from(contestantMap.keys());
 
   // look for the contestant/voting history table
   // fandom wiki uses tables with class "wikitable" for contestant info
@@ -41,38 +371,35 @@ function parseContestants(html, existingContestants) {
 
     if (nameIdx === -1 || finishIdx === -1) return;
 
+    const finished = [];
     $table.find('tr').slice(1).each((_, row) => {
       const cells = $(row).find('td');
       if (cells.length <= Math.max(nameIdx, finishIdx)) return;
 
       const rawName = $(cells[nameIdx]).text().trim().toLowerCase();
-      const rawFinish = $(cells[finishIdx]).text().trim().toLowerCase();
+      const rawFinish = $(cells[finishIdx]).text().replace(/\s+/g, ' ').trim().toLowerCase();
 
       // match to existing contestant by first/last name
-      let matched = null;
-      for (const [name] of contestantMap) {
-        if (rawName.includes(name) || name.includes(rawName) ||
-            rawName.split(' ').some(part => name.includes(part) && part.length > 2)) {
-          matched = name;
-          break;
-        }
-      }
+      const matched = matchContestant(rawName, names);
+      if (!matched || !rawFinish) return;
+      finished.push({ contestant: contestantMap.get(matched), rawFinish });
+    });
 
-      if (!matched) return;
-      const contestant = contestantMap.get(matched);
+    for (const { contestant, placement } of finishPlacements(finished, names.length)) {
+      contestant.placement = placement;
+    }
 
-      // parse placement
-      const placementMatch = rawFinish.match(/(\d+)/);
-      if (placementMatch) {
-        contestant.placement = parseInt(placementMatch[1]);
-      }
+    finished.forEach(({ contestant, rawFinish }) => {
+      if (rawFinish.includes('jury')) contestant.jury = true;
 
       // detect method
-      if (rawFinish.includes('sole survivor') || rawFinish.includes('winner')) {
+      if (isWinnerFinish(rawFinish)) {
         contestant.method = 'winner';
         contestant.placement = 1;
       } else if (rawFinish.includes('runner')) {
         contestant.method = 'runner-up';
+      } else if (rawFinish.includes('fire')) {
+        contestant.method = 'fire-making';
       } else if (rawFinish.includes('medevac') || rawFinish.includes('medical')) {
         contestant.method = 'medevac';
       } else if (rawFinish.includes('quit')) {
@@ -83,55 +410,192 @@ function parseContestants(html, existingContestants) {
     });
   });
 
-  // try to scrape immunity wins from challenge results
-  const immunityPattern = /individual immunity/i;
-  $('table.wikitable').each((_, table) => {
-    const $table = $(table);
-    const caption = $table.find('caption').text() || '';
-    const prevHeader = $table.prev('h2, h3').text() || '';
-
-    if (!immunityPattern.test(caption) && !immunityPattern.test(prevHeader)) return;
-
-    // count immunity wins per contestant
-    $table.find('td').each((_, td) => {
-      const text = $(td).text().trim().toLowerCase();
-      // cells with contestant names that won immunity
-      for (const [name, contestant] of contestantMap) {
-        const firstName = name.split(' ')[0];
-        if (text === firstName || text === name) {
-          if (!contestant.bonuses) contestant.bonuses = {};
-          contestant.bonuses.immunityWin = (contestant.bonuses.immunityWin || 0) + 1;
-        }
-      }
-    });
-  });
+  // episode tags and bonus counts from the structured episode data
+  const parsed = parseEpisodes(html, names);
+  const finale = parsed.episodes.length > 0 ? parsed.episodes[parsed.episodes.length - 1].episode : null;
+  for (const e of parsed.episodes) {
+    for (const name of e.eliminated) {
+      const contestant = contestantMap.get(name);
+      if (contestant.placement != null) contestant.episode = e.episode;
+    }
+  }
+  for (const contestant of contestantMap.values()) {
+    if (finale != null && (contestant.method === 'winner' || contestant.method === 'runner-up')) contestant.episode = finale;
+  }
 
-  // scrape idol/advantage events from page text
-  const fullText = $.text().toLowerCase();
+  const { keys, bonuses } = deriveBonuses(parsed);
   for (const [name, contestant] of contestantMap) {
-    const firstName = name.split(' ')[0];
-    if (!contestant.bonuses) contestant.bonuses = {};
+    const derived = bonuses.get(name) || {};
+    const merged = { ...contestant.bonuses };
+    for (const key of keys) {
+      if (derived[key]) merged[key] = derived[key];
+      else delete merged[key];
+    }
+    contestant.bonuses = merged;
+  }
+
+  return Array.from(contestantMap.values());
+}
+
+// --- event log ---
+
+// the scraper never edits results in place: it appends events to data/<season>/events.json
+// and retracts its own earlier events when the wiki no longer backs them
+
+// event type for each derived bonus key (mirrors BONUS_EVENTS in app.js)
+const BONUS_EVENT_TYPES = {
+  immunityWin: 'immunity_win',
+  rewardWin: 'reward_win',
+  idolFound: 'idol_found',
+  idolPlayed: 'idol_played',
+  advantageFound: 'advantage_found',
+  advantagePlayed: 'advantage_played',
+  votesReceived: 'vote_received',
+  votesNullified: 'votes_nullified'
+};
+
+// everything the wiki currently says, as events in episode order, plus the event
+// types this scrape actually had tables for (only those are ever retracted) and the
+// last episode it covers
+export function wikiEvents(contestants, parsed) {
+  const events = [];
+  const types = new Set();
+
+  const out = contestants
+    .filter(c => c.placement != null && c.method !== 'winner')
+    .sort((a, b) => b.placement - a.placement);
+  const winner = contestants.find(c => c.method === 'winner');
+  // a boot the episode guide doesn't place yet can't be logged; the ones it does place are,
+  // and those after a gap carry their placement so the replay doesn't shift them up into it
+  const unplaced = [...out, ...(winner ? [winner] : [])].filter(c => c.episode == null).map(c => c.name);
+  if (out.length + (winner ? 1 : 0) > unplaced.length) types.add('eliminated').add('winner');
+
+  let gap = false;
+  for (const c of out) {
+    if (c.episode == null) {
+      gap = true;
+      continue;
+    }
+    events.push({ type: 'eliminated', episode: c.episode, contestant: c.name, method: c.method, ...(c.jury ? { jury: true } : {}), ...(gap ? { placement: c.placement } : {}) });
+  }
+  if (winner && winner.episode != null) events.push({ type: 'winner', episode: winner.episode, contestant: winner.name });
+
+  const { keys, bonuses } = deriveBonuses(parsed);
+  for (const key of keys) types.add(BONUS_EVENT_TYPES[key]);
+  for (const [name, derived] of bonuses) {
+    for (const key of keys) {
+      const counts = new Map();
+      for (const episode of derived[key] || []) counts.set(episode, (counts.get(episode) || 0) + 1);
+      for (const [episode, count] of counts) {
+        events.push({ type: BONUS_EVENT_TYPES[key], episode, contestant: name, ...(count > 1 ? { count } : {}) });
+      }
+    }
+  }
 
-    // count idol finds
-    const idolFoundPattern = new RegExp(`${firstName}[^.]*found[^.]*idol|${firstName}[^.]*idol[^.]*found`, 'gi');
-    const idolFinds = (fullText.match(idolFoundPattern) || []).length;
-    if (idolFinds > 0) contestant.bonuses.idolFound = idolFinds;
+  events.sort((a, b) => a.episode - b.episode);
+  const through = Math.max(0, ...parsed.episodes.map(e => e.episode));
+  return { events, types, through, unplaced };
+}
 
-    // count idol plays
-    const idolPlayedPattern = new RegExp(`${firstName}[^.]*played[^.]*idol|${firstName}[^.]*idol[^.]*played`, 'gi');
-    const idolPlays = (fullText.match(idolPlayedPattern) || []).length;
-    if (idolPlays > 0) contestant.bonuses.idolPlayed = idolPlays;
+// what an event says, ignoring where it came from (matches eventSignature in app.js)
+function eventSignature(e) {
+  const { source, recordedAt, note, ...fields } = e;
+  return JSON.stringify(fields, Object.keys(fields).sort());
+}
+
+// results recorded live compete for the same slot: one finish per contestant, one
+// bonus of each kind per contestant per episode
+const conflictKey = e => e.type === 'eliminated' || e.type === 'winner'
+  ? `finish:${e.contestant}`
+  : `${e.type}:${e.episode}:${e.contestant || e.tribe}`;
+
+function standing(log) {
+  const retracted = new Set(log.filter(e => e.type === 'retract').map(e => e.index));
+  return log.map((e, index) => ({ e, index })).filter(({ e, index }) => e.type !== 'retract' && !retracted.has(index));
+}
+
+// entries to append so the log's standing events match the wiki: new events, plus retractions
+// of earlier wiki events that are gone. manual events are left alone and count as covering.
+// a live result (recorded through the worker on episode night) that the wiki contradicts
+// once it has covered that episode is a conflict: the wiki's version is held back and reported.
+// a finish the wiki can't place this run (unplaced) is left as the log has it
+export function reconcileEvents(log, { events: generated, types, through = Infinity, unplaced = [] }, live = []) {
+  const conflicts = [];
+  const held = new Set(unplaced.map(name => `finish:${name}`));
+  const generatedSigs = new Set(generated.map(eventSignature));
+  for (const { e } of standing(live)) {
+    if (generatedSigs.has(eventSignature(e)) || !types.has(e.type) || e.episode > through) continue;
+    const key = conflictKey(e);
+    held.add(key);
+    conflicts.push({ live: e, wiki: generated.find(g => conflictKey(g) === key) || null });
   }
 
-  return Array.from(contestantMap.values());
+  const wanted = new Map();
+  for (const e of generated) {
+    if (held.has(conflictKey(e))) continue;
+    wanted.set(eventSignature(e), (wanted.get(eventSignature(e)) || 0) + 1);
+  }
+
+  const entries = [];
+  for (const { e, index } of standing(log)) {
+    const sig = eventSignature(e);
+    if (wanted.get(sig) > 0) wanted.set(sig, wanted.get(sig) - 1);
+    else if (e.source === 'wiki' && types.has(e.type) && !held.has(conflictKey(e))) entries.push({ type: 'retract', index, source: 'wiki' });
+  }
+  for (const e of generated) {
+    const sig = eventSignature(e);
+    if (wanted.get(sig) > 0) {
+      wanted.set(sig, wanted.get(sig) - 1);
+      entries.push({ ...e, source: 'wiki' });
+    }
+  }
+  return { entries, conflicts };
+}
+
+export function describeEvent(e, log) {
+  if (e.type === 'retract') return `- ${describeEvent(log[e.index], log)} (#${e.index})`;
+  const detail = [e.method, e.count > 1 ? `x${e.count}` : null].filter(Boolean).join(', ');
+  return `ep ${e.episode} ${e.type.replace(/_/g, ' ')} ${e.contestant || e.tribe || ''}${detail ? ` (${detail})` : ''}`.trim();
 }
 
-async function scrapeSeason(seasonId) {
+// --- dry-run report ---
+
+function formatValue(value) {
+  return value == null ? '—' : String(value);
+}
+
+function eventLabel(e) {
+  const detail = [e.method, e.count > 1 ? `x${e.count}` : null].filter(Boolean).join(', ');
+  return `ep ${e.episode} ${e.type.replace(/_/g, ' ')}${detail ? ` (${detail})` : ''}`;
+}
+
+// per-contestant lines describing what appending entries to the log would change: the
+// events added or retracted and any placement the replay moves. empty when nothing would
+export function diffEvents(log, entries, contestantCount) {
+  const placements = events => new Map(eventPlacements(events, contestantCount).map(f => [f.name, f.placement]));
+  const before = placements(log);
+  const after = placements([...log, ...entries]);
+
+  const changes = new Map();
+  const note = (name, text) => changes.set(name, [...(changes.get(name) || []), text]);
+  for (const name of new Set([...before.keys(), ...after.keys()])) {
+    if (before.get(name) !== after.get(name)) note(name, `placement ${formatValue(before.get(name))} → ${formatValue(after.get(name))}`);
+  }
+  for (const e of entries) {
+    const target = e.type === 'retract' ? log[e.index] : e;
+    note(target.contestant || target.tribe, `${e.type === 'retract' ? '-' : '+'} ${eventLabel(target)}`);
+  }
+  return [...changes].map(([name, list]) => `  ${name}: ${list.join(', ')}`);
+}
+
+async function scrapeSeason(seasonId, { dryRun = false, saveFixture = false } = {}) {
   const seasonPath = join(ROOT, 'data', seasonId, 'season.json');
   const contestantsPath = join(ROOT, 'data', seasonId, 'contestants.json');
+  const eventsPath = join(ROOT, 'data', seasonId, 'events.json');
 
   const season = JSON.parse(readFileSync(seasonPath, 'utf-8'));
-  const existing = JSON.parse(readFileSync(contestantsPath, 'utf-8'));
+  const roster = JSON.parse(readFileSync(contestantsPath, 'utf-8'));
+  const log = existsSync(eventsPath) ? JSON.parse(readFileSync(eventsPath, 'utf-8')) : [];
 
   if (!season.wikiSlug) {
     console.log(`${seasonId}: no wikiSlug configured, skipping`);
@@ -141,27 +605,74 @@ async function scrapeSeason(seasonId) {
   console.log(`${seasonId}: fetching wiki page "${season.wikiSlug}"...`);
   const html = await fetchWikiHTML(season.wikiSlug);
 
+  if (saveFixture) {
+    const fixturePath = join(ROOT, 'test', 'fixtures', `${seasonId}.html`);
+    writeFileSync(fixturePath, html);
+    console.log(`${seasonId}: saved wiki HTML to ${fixturePath}`);
+  }
+
   console.log(`${seasonId}: parsing contestants...`);
-  const updated = parseContestants(html, existing);
+  const names = roster.map(c => c.name);
+  const parsed = parseEpisodes(html, names);
+  const wiki = wikiEvents(parseContestants(html, roster), parsed);
+  const { entries, conflicts } = reconcileEvents(log, wiki, await fetchLiveEvents(seasonId));
+  for (const name of wiki.unplaced) {
+    console.warn(`::warning::${seasonId}: ${name} is out but the episode guide doesn't say which episode, so the boot isn't logged`);
+  }
 
-  // check for changes
-  const oldJson = JSON.stringify(existing);
-  const newJson = JSON.stringify(updated, null, 2);
-  if (JSON.stringify(JSON.parse(oldJson)) === JSON.stringify(updated)) {
-    console.log(`${seasonId}: no changes`);
-    return false;
+  // conflicts stay in a file next to the log until someone settles them, so they can't go unnoticed
+  const conflictsPath = join(ROOT, 'data', seasonId, 'conflicts.json');
+  for (const { live, wiki: found } of conflicts) {
+    console.warn(`::warning::${seasonId}: live "${describeEvent(live, [])}" but the wiki says ${found ? `"${describeEvent(found, [])}"` : 'nothing of the kind'}`);
+  }
+
+  // structured episode record (challenges, tribal councils, idols) next to contestants.json
+  const episodesPath = join(ROOT, 'data', seasonId, 'episodes.json');
+  const oldEpisodes = existsSync(episodesPath) ? readFileSync(episodesPath, 'utf-8') : null;
+  const newEpisodes = JSON.stringify(parsed.episodes, null, 2) + '\n';
+  const episodesChanged = parsed.episodes.length > 0 && oldEpisodes !== newEpisodes;
+
+  // a log the site couldn't replay is never written, and a dry run fails the same way
+  const problems = checkSeason(seasonId, { season, contestants: roster, events: [...log, ...entries] });
+  if (problems.length) {
+    throw new Error(`${seasonId}: refusing to write events.json, it would fail validation:\n${problems.map(p => `  ${p}`).join('\n')}`);
+  }
+
+  if (dryRun) {
+    const lines = diffEvents(log, entries, roster.length);
+    console.log(lines.length ? `${seasonId}: ${entries.length} event(s) would be logged, ${lines.length} contestant(s) would change\n${lines.join('\n')}` : `${seasonId}: no new events`);
+    if (episodesChanged) console.log(`${seasonId}: episodes.json would change (${parsed.episodes.length} episodes)`);
+    return entries.length > 0 || episodesChanged;
   }
 
-  writeFileSync(contestantsPath, newJson + '\n');
-  console.log(`${seasonId}: updated contestants.json`);
+  if (conflicts.length > 0) {
+    writeFileSync(conflictsPath, JSON.stringify(conflicts, null, 2) + '\n');
+  } else if (existsSync(conflictsPath)) {
+    unlinkSync(conflictsPath);
+  }
+
+  if (episodesChanged) {
+    writeFileSync(episodesPath, newEpisodes);
+    console.log(`${seasonId}: updated episodes.json`);
+  }
+
+  if (entries.length === 0) {
+    console.log(`${seasonId}: no new events`);
+    return episodesChanged;
+  }
+
+  writeFileSync(eventsPath, formatRows([...log, ...entries]));
+  console.log(`${seasonId}: logged ${entries.length} event(s) to events.json`);
   return true;
 }
 
 async function main() {
-  const targetId = process.argv[2];
+  const args = process.argv.slice(2);
+  const options = { dryRun: args.includes('--dry-run'), saveFixture: args.includes('--save-fixture') };
+  const targetId = args.find(a => !a.startsWith('--'));
 
   if (targetId) {
-    await scrapeSeason(targetId);
+    await scrapeSeason(targetId, options);
     return;
   }
 
@@ -171,7 +682,7 @@ async function main() {
 
   for (const s of seasons) {
     if (s.status !== 'active') continue;
-    const changed = await scrapeSeason(s.id);
+    const changed = await scrapeSeason(s.id, options);
     if (changed) anyChanged = true;
   }
 
@@ -180,7 +691,10 @@ async function main() {
   }
 }
 
-main().catch(e => {
-  console.error(e);
-  process.exit(1);
-});
+// only scrape when run directly, so tests can import the parsers
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
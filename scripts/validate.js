@@ -0,0 +1,469 @@
+#!/usr/bin/env node
+
+// checks everything under data/ before it reaches the site: each file against its
+// schema, then the files against each other (picks name real contestants, placements
+// don't collide, contestantCount matches the cast, every listed season has a folder)
+// usage: node scripts/validate.js [seasonId...]
+// prints one line per problem and exits 1 if there are any. scrape.js and
+// `admin.js pull-picks` run the same checks and refuse to write a file that fails them
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { validateRoster, validatePrediction } from '../roster-rules.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_ROOT = join(__dirname, '..');
+
+// --- schemas ---
+
+// a small subset of JSON Schema: type, enum, pattern, minimum, items, properties,
+// required, additionalProperties: false, plus values for maps with free-form keys
+
+const lowercase = '^[^A-Z]+$';
+const name = { type: 'string', pattern: lowercase };
+const positive = { type: 'integer', minimum: 1 };
+const episodeList = { type: 'array', items: positive };
+
+const SCORING_TYPES = ['placement', 'finish', 'bonus', 'jury', 'method', 'survival', 'fire', 'blindside', 'predictions'];
+const TIEBREAKERS = ['winnerPicks', 'bestPick', 'latestPick', 'finalVotes'];
+
+// fields each scoring rule needs beyond its type
+const SCORING_FIELDS = {
+  placement: [],
+  finish: ['placement', 'points'],
+  bonus: ['key', 'points'],
+  jury: ['points'],
+  method: ['method', 'points'],
+  survival: ['points'],
+  fire: ['points'],
+  blindside: ['points'],
+  predictions: [],
+};
+
+const BONUS_EVENT_TYPES = ['immunity_win', 'reward_win', 'idol_found', 'idol_played', 'advantage_found',
+  'advantage_played', 'vote_received', 'votes_nullified', 'fire_win', 'idol_blindside'];
+
+// fields each event type needs beyond its type and episode
+const EVENT_FIELDS = {
+  eliminated: ['contestant'],
+  winner: ['contestant'],
+  jury_vote: ['contestant', 'for'],
+  tribe_swap: ['contestant', 'tribe'],
+  merge: ['tribe'],
+  bonus: ['contestant', 'key'],
+  ...Object.fromEntries(BONUS_EVENT_TYPES.map(type => [type, ['contestant']])),
+};
+
+export const SCHEMAS = {
+  seasons: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'number', 'name', 'status'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+        number: positive,
+        name,
+        status: { enum: ['active', 'completed'] },
+      },
+    },
+  },
+
+  season: {
+    type: 'object',
+    required: ['id', 'number', 'name', 'status', 'contestantCount', 'picksPerPlayer', 'scoring'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string' },
+      number: positive,
+      name,
+      status: { enum: ['active', 'completed'] },
+      contestantCount: positive,
+      wikiSlug: { type: 'string' },
+      picksPerPlayer: positive,
+      alternates: { type: 'integer', minimum: 0 },
+      alternatePolicy: { enum: ['single', 'cascade', 'slot', 'injury'] },
+      submissionDeadline: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T' },
+      finalists: positive,
+      jurySize: { type: 'integer', minimum: 0 },
+      tiebreakers: { type: 'array', items: { enum: TIEBREAKERS } },
+      finalVotes: { type: 'integer', minimum: 0 },
+      predictions: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          boot: { type: 'number' },
+          immunity: { type: 'number' },
+          cutoffs: { type: 'array', items: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T' } },
+        },
+      },
+      scoring: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type'],
+          additionalProperties: false,
+          properties: {
+            type: { enum: SCORING_TYPES },
+            curve: { enum: ['linear', 'table'] },
+            table: { type: 'array', items: { type: 'number' } },
+            placement: positive,
+            points: { type: 'number' },
+            key: { type: 'string' },
+            method: { type: 'string' },
+            label: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+
+  contestants: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['name'],
+      additionalProperties: false,
+      properties: {
+        name,
+        tribe: { type: 'string' },
+        image: { type: 'string' },
+        bio: { type: 'string' },
+        placement: { type: ['integer', 'null'], minimum: 1 },
+        method: { type: ['string', 'null'] },
+        jury: { type: 'boolean' },
+        note: { type: ['string', 'null'] },
+        episode: positive,
+        bonuses: { type: 'object', values: { type: ['integer', 'array'], minimum: 0, items: positive } },
+      },
+    },
+  },
+
+  picks: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['name', 'picks'],
+      additionalProperties: false,
+      properties: {
+        name,
+        picks: { type: 'array', items: { type: 'string' } },
+        alternates: { type: 'array', items: { type: 'string' } },
+        alternateSlots: { type: 'array', items: { type: 'integer', minimum: 0 } },
+        finalVotesGuess: { type: 'integer', minimum: 0 },
+      },
+    },
+  },
+
+  predictions: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['name', 'episode', 'boot'],
+      additionalProperties: false,
+      properties: { name, episode: positive, boot: name, immunity: name },
+    },
+  },
+
+  events: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: {
+        type: { enum: ['retract', ...Object.keys(EVENT_FIELDS)] },
+        episode: positive,
+        contestant: name,
+        for: name,
+        tribe: { type: 'string' },
+        method: { type: 'string' },
+        jury: { type: 'boolean' },
+        placement: positive,
+        key: { type: 'string' },
+        count: positive,
+        note: { type: 'string' },
+        index: { type: 'integer', minimum: 0 },
+        source: { enum: ['wiki', 'live'] },
+        recordedAt: { type: 'string' },
+      },
+    },
+  },
+
+  leagues: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'name'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+        name: { type: 'string' },
+        seasons: { type: 'array', items: { type: 'string' } },
+        draft: { type: 'boolean' },
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// every way value breaks schema, as "<path>: <problem>" lines
+export function checkSchema(value, schema, at = '') {
+  const errors = [];
+  const where = at || 'top level';
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some(t => matchesType(value, t))) {
+    return [`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${where}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+  }
+  if (schema.minimum != null && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${where}: ${value} is below ${schema.minimum}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...checkSchema(item, schema.items, `${at}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${where}: missing ${key}`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const path = at ? `${at}.${key}` : key;
+      if (properties[key]) errors.push(...checkSchema(v, properties[key], path));
+      else if (schema.values) errors.push(...checkSchema(v, schema.values, path));
+      else if (schema.additionalProperties === false) errors.push(`${where}: unexpected field ${key}`);
+    }
+  }
+  return errors;
+}
+
+// --- cross-file checks ---
+
+function duplicates(list) {
+  return [...new Set(list.filter((item, i) => list.indexOf(item) !== i))];
+}
+
+function checkScoring(season) {
+  const errors = [];
+  (season.scoring || []).forEach((rule, i) => {
+    const missing = (SCORING_FIELDS[rule.type] || []).filter(f => rule[f] == null);
+    if (missing.length) errors.push(`scoring[${i}]: a ${rule.type} rule needs ${missing.join(', ')}`);
+    if (rule.type === 'placement' && rule.curve === 'table' && !rule.table) errors.push(`scoring[${i}]: the table curve needs a table`);
+  });
+  return errors;
+}
+
+// placements the event log gives out, replayed the way app.js does
+export function eventPlacements(events, contestantCount) {
+  const retracted = new Set(events.filter(e => e.type === 'retract').map(e => e.index));
+  const finishes = events
+    .map((e, index) => ({ e, index }))
+    .filter(({ e, index }) => (e.type === 'eliminated' || e.type === 'winner') && !retracted.has(index))
+    .sort((a, b) => a.e.episode - b.e.episode || a.index - b.index);
+  let remaining = contestantCount;
+  return finishes.map(({ e, index }) => {
+    if (e.type === 'winner') return { name: e.contestant, placement: 1, index };
+    return { name: e.contestant, placement: e.placement != null ? e.placement : remaining--, index };
+  });
+}
+
+function checkEvents(events, names, contestantCount) {
+  const errors = [];
+  const cast = new Set(names);
+  events.forEach((e, i) => {
+    if (e.type === 'retract') {
+      const target = events[e.index];
+      if (e.index == null || e.index >= i || !target) errors.push(`[${i}]: retract must point at an earlier event`);
+      else if (target.type === 'retract') errors.push(`[${i}]: retracts another retract`);
+      return;
+    }
+    if (e.episode == null) errors.push(`[${i}]: missing episode`);
+    const missing = (EVENT_FIELDS[e.type] || []).filter(f => e[f] == null);
+    if (missing.length) errors.push(`[${i}]: ${e.type} needs ${missing.join(', ')}`);
+    for (const n of [e.contestant, e.for]) {
+      if (n != null && !cast.has(n)) errors.push(`[${i}]: ${n} is not in contestants.json`);
+    }
+  });
+
+  const finishes = eventPlacements(events, contestantCount);
+  for (const n of duplicates(finishes.map(f => f.name))) errors.push(`${n} is eliminated more than once`);
+  for (const p of duplicates(finishes.map(f => f.placement))) {
+    errors.push(`placement ${p} goes to ${finishes.filter(f => f.placement === p).map(f => f.name).join(' and ')}`);
+  }
+  for (const f of finishes) {
+    if (f.placement < 1 || f.placement > contestantCount) errors.push(`[${f.index}]: placement ${f.placement} is outside 1-${contestantCount}`);
+  }
+  return errors;
+}
+
+// a drafting league's roster sizes come from the draft an admin opened, not season.json,
+// so only the cast and overlaps are checked for it
+function checkPicks(rows, season, names, drafted) {
+  const errors = [];
+  const rules = drafted ? { contestants: names } : { picksPerPlayer: season.picksPerPlayer, alternates: season.alternates || 0, contestants: names };
+  for (const n of duplicates(rows.map(r => r.name))) errors.push(`${n} has more than one roster`);
+  for (const row of rows) {
+    const { errors: found } = validateRoster(row, rules);
+    for (const message of Object.values(found)) errors.push(`${row.name}: ${message}`);
+  }
+  return errors;
+}
+
+function checkPredictions(rows, names) {
+  const errors = [];
+  const weeks = rows.map(r => `${r.name} in episode ${r.episode}`);
+  for (const week of duplicates(weeks)) errors.push(`${week} has more than one prediction`);
+  for (const row of rows) {
+    const { errors: found } = validatePrediction(row, { contestants: names });
+    for (const message of Object.values(found)) errors.push(`${row.name}, episode ${row.episode}: ${message}`);
+  }
+  return errors;
+}
+
+// the league a picks-<league>.json or predictions-<league>.json file belongs to
+function fileLeague(file) {
+  return file.match(/^[a-z]+(?:-([a-z0-9-]+))?\.json$/)[1] || 'family';
+}
+
+// one season's files, already parsed; picks and predictions map each file name to
+// its rows, draftLeagues lists the leagues that pick through the live draft.
+// returns "data/<season>/<file>: ..." lines
+export function checkSeason(seasonId, { season, contestants, picks = {}, predictions = {}, events = null, draftLeagues = [] }) {
+  const errors = [];
+  const report = (file, lines) => errors.push(...lines.map(line => `data/${seasonId}/${file}: ${line}`));
+
+  const schemaErrors = [
+    ['season.json', checkSchema(season, SCHEMAS.season)],
+    ['contestants.json', checkSchema(contestants, SCHEMAS.contestants)],
+    ...Object.entries(picks).map(([file, rows]) => [file, checkSchema(rows, SCHEMAS.picks)]),
+    ...Object.entries(predictions).map(([file, rows]) => [file, checkSchema(rows, SCHEMAS.predictions)]),
+    ...(events ? [['events.json', checkSchema(events, SCHEMAS.events)]] : []),
+  ];
+  for (const [file, lines] of schemaErrors) report(file, lines);
+  // cross-checks on malformed files would only repeat the schema errors in confusing ways
+  if (errors.length) return errors;
+
+  if (season.id !== seasonId) report('season.json', [`id is ${season.id} but the folder is ${seasonId}`]);
+  report('season.json', checkScoring(season));
+
+  const names = contestants.map(c => c.name);
+  if (season.contestantCount !== contestants.length) {
+    report('season.json', [`contestantCount is ${season.contestantCount} but contestants.json lists ${contestants.length}`]);
+  }
+  report('contestants.json', duplicates(names).map(n => `${n} is listed more than once`));
+
+  const placed = contestants.filter(c => c.placement != null);
+  report('contestants.json', duplicates(placed.map(c => c.placement)).map(p =>
+    `placement ${p} goes to ${placed.filter(c => c.placement === p).map(c => c.name).join(' and ')}`));
+  report('contestants.json', placed.filter(c => c.placement > season.contestantCount).map(c =>
+    `${c.name}: placement ${c.placement} is above contestantCount ${season.contestantCount}`));
+
+  if (events) report('events.json', checkEvents(events, names, season.contestantCount));
+  for (const [file, rows] of Object.entries(picks)) report(file, checkPicks(rows, season, names, draftLeagues.includes(fileLeague(file))));
+  for (const [file, rows] of Object.entries(predictions)) report(file, checkPredictions(rows, names));
+  return errors;
+}
+
+function readJSON(path, errors, label) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (e) {
+    errors.push(`${label}: ${existsSync(path) ? `not valid JSON (${e.message})` : 'missing'}`);
+    return undefined;
+  }
+}
+
+// a season folder as checkSeason takes it; files that fail to parse are reported in errors
+export function loadSeasonFiles(root, seasonId, errors = []) {
+  const dir = join(root, 'data', seasonId);
+  const read = file => readJSON(join(dir, file), errors, `data/${seasonId}/${file}`);
+  const byLeague = kind => {
+    const files = {};
+    const pattern = new RegExp(`^${kind}(-[a-z0-9-]+)?\\.json$`);
+    for (const file of readdirSync(dir).filter(f => pattern.test(f)).sort()) files[file] = read(file);
+    return files;
+  };
+  return {
+    season: read('season.json'),
+    contestants: read('contestants.json'),
+    picks: byLeague('picks'),
+    predictions: byLeague('predictions'),
+    events: existsSync(join(dir, 'events.json')) ? read('events.json') : null,
+  };
+}
+
+// everything under root/data (or just the given seasons, plus the top-level files)
+export function validateData(root = DEFAULT_ROOT, seasonIds = null) {
+  const errors = [];
+  const seasons = readJSON(join(root, 'data', 'seasons.json'), errors, 'data/seasons.json');
+  const leagues = readJSON(join(root, 'data', 'leagues.json'), errors, 'data/leagues.json');
+  if (errors.length) return errors;
+
+  const top = [...checkSchema(seasons, SCHEMAS.seasons).map(line => `data/seasons.json: ${line}`),
+    ...checkSchema(leagues, SCHEMAS.leagues).map(line => `data/leagues.json: ${line}`)];
+  if (top.length) return top;
+
+  const ids = seasons.map(s => s.id);
+  for (const id of duplicates(ids)) errors.push(`data/seasons.json: ${id} is listed more than once`);
+  const folders = readdirSync(join(root, 'data'), { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name);
+  for (const id of ids.filter(id => !folders.includes(id))) errors.push(`data/seasons.json: ${id} has no data/${id}/ folder`);
+  for (const folder of folders.filter(f => !ids.includes(f))) errors.push(`data/${folder}/: not listed in data/seasons.json`);
+  for (const league of leagues) {
+    for (const id of (league.seasons || []).filter(id => !ids.includes(id))) {
+      errors.push(`data/leagues.json: ${league.id} plays ${id}, which is not in data/seasons.json`);
+    }
+  }
+
+  for (const entry of seasons) {
+    if (!folders.includes(entry.id) || (seasonIds && !seasonIds.includes(entry.id))) continue;
+    const loadErrors = [];
+    const files = loadSeasonFiles(root, entry.id, loadErrors);
+    errors.push(...loadErrors);
+    if (loadErrors.length) continue;
+
+    errors.push(...checkSeason(entry.id, { ...files, draftLeagues: leagues.filter(l => l.draft).map(l => l.id) }));
+    for (const field of ['number', 'name', 'status']) {
+      if (files.season[field] !== entry[field]) {
+        errors.push(`data/${entry.id}/season.json: ${field} is ${JSON.stringify(files.season[field])} but data/seasons.json says ${JSON.stringify(entry[field])}`);
+      }
+    }
+    for (const file of [...Object.keys(files.picks), ...Object.keys(files.predictions)]) {
+      const leagueId = fileLeague(file);
+      const league = leagues.find(l => l.id === leagueId);
+      if (!league) errors.push(`data/${entry.id}/${file}: no league ${leagueId} in data/leagues.json`);
+      else if (league.seasons && !league.seasons.includes(entry.id)) errors.push(`data/${entry.id}/${file}: ${leagueId} does not play ${entry.id}`);
+    }
+  }
+  return errors;
+}
+
+function main() {
+  const seasonIds = process.argv.slice(2);
+  const errors = validateData(process.env.SURVIVOR_ROOT || DEFAULT_ROOT, seasonIds.length ? seasonIds : null);
+  if (errors.length) {
+    for (const line of errors) console.error(line);
+    console.error(`${errors.length} problem${errors.length === 1 ? '' : 's'} found`);
+    process.exit(1);
+  }
+  console.log('data/ is valid');
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) main();
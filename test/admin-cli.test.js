@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createEmulator } from '../worker/emulator.js';
+import { run } from '../scripts/admin.js';
+
+const ADMIN_SECRET = 'test-secret';
+const emulator = createEmulator({ adminSecret: ADMIN_SECRET });
+const { env } = emulator;
+let server;
+let cliEnv;
+let root;
+
+// the emulator on a free port, standing in for the deployed worker
+before(async () => {
+  server = await emulator.listen(0);
+
+  root = mkdtempSync(join(tmpdir(), 'survivor-admin-'));
+  mkdirSync(join(root, 'data', 's50'), { recursive: true });
+  writeFileSync(join(root, 'data', 'seasons.json'), '[\n  { "id": "s49", "status": "completed" },\n  { "id": "s50", "status": "active" }\n]\n');
+  writeFileSync(join(root, 'data', 's50', 'season.json'), '{\n  "id": "s50",\n  "number": 50,\n  "name": "survivor 50",\n  "status": "active",\n  "contestantCount": 3,\n  "picksPerPlayer": 2,\n  "alternates": 1,\n  "submissionDeadline": "2099-01-01T00:00:00Z",\n  "scoring": [{ "type": "placement" }]\n}\n');
+  writeFileSync(join(root, 'data', 's50', 'contestants.json'), JSON.stringify([{ name: 'q burdette' }, { name: 'ozzy lusth' }, { name: 'cirie fields' }]));
+  cliEnv = { WORKER_URL: `http://localhost:${server.address().port}`, ADMIN_SECRET, SURVIVOR_ROOT: root };
+});
+
+after(() => {
+  server.close();
+  rmSync(root, { recursive: true, force: true });
+});
+
+test('push-config sends the season definition', async () => {
+  await run(['push-config', 's50'], cliEnv);
+  assert.deepEqual(await env.DATA.get('config:s50', 'json'), {
+    picksPerPlayer: 2, alternates: 1, contestants: ['q burdette', 'ozzy lusth', 'cirie fields'], deadline: '2099-01-01T00:00:00Z',
+  });
+});
+
+test('pull-picks writes the export as picks.json and delete removes a roster', async () => {
+  for (const name of ['mom', 'dad']) {
+    await env.DATA.put(`pick:s50/${name}`, JSON.stringify({ name, picks: ['q burdette', 'ozzy lusth'], alternates: ['cirie fields'], submittedAt: new Date().toISOString(), tokenHash: 'x' }));
+  }
+  await run(['delete', 's50', 'dad'], cliEnv);
+  await run(['pull-picks', 's50'], cliEnv);
+  assert.equal(readFileSync(join(root, 'data', 's50', 'picks.json'), 'utf-8'),
+    '[\n  { "name": "mom", "picks": ["q burdette", "ozzy lusth"], "alternates": ["cirie fields"] }\n]\n');
+});
+
+test('pull-picks refuses an export that fails validation', async () => {
+  await env.DATA.put('pick:s50/uncle', JSON.stringify({ name: 'uncle', picks: ['q burdette', 'jeff probst'], alternates: ['cirie fields'], submittedAt: new Date().toISOString(), tokenHash: 'x' }));
+  await assert.rejects(run(['pull-picks', 's50'], cliEnv), /picks\.json: uncle: not in the cast: jeff probst/);
+  assert.doesNotMatch(readFileSync(join(root, 'data', 's50', 'picks.json'), 'utf-8'), /uncle/);
+  await run(['delete', 's50', 'uncle'], cliEnv);
+});
+
+test('pull-predictions writes every guess as predictions.json', async () => {
+  await env.DATA.put('prediction:s50/mom/1', JSON.stringify({ name: 'mom', episode: 1, boot: 'ozzy lusth', submittedAt: new Date().toISOString() }));
+  await run(['pull-predictions', 's50'], cliEnv);
+  assert.equal(readFileSync(join(root, 'data', 's50', 'predictions.json'), 'utf-8'),
+    '[\n  { "name": "mom", "episode": 1, "boot": "ozzy lusth" }\n]\n');
+});
+
+test('close-season flips status in both files and keeps their formatting', async () => {
+  await run(['close-season', 's50'], cliEnv);
+  assert.match(readFileSync(join(root, 'data', 's50', 'season.json'), 'utf-8'), /\n  "status": "completed",\n/);
+  assert.equal(readFileSync(join(root, 'data', 'seasons.json'), 'utf-8'),
+    '[\n  { "id": "s49", "status": "completed" },\n  { "id": "s50", "status": "completed" }\n]\n');
+  await assert.rejects(run(['close-season', 's50'], cliEnv), /not active/);
+});
+
+test('close-season leaves season.json alone for a season seasons.json doesn\'t list', async () => {
+  const season = '{\n  "id": "s51",\n  "status": "active"\n}\n';
+  mkdirSync(join(root, 'data', 's51'));
+  writeFileSync(join(root, 'data', 's51', 'season.json'), season);
+  await assert.rejects(run(['close-season', 's51'], cliEnv), /s51 is not listed in data\/seasons\.json/);
+  assert.equal(readFileSync(join(root, 'data', 's51', 'season.json'), 'utf-8'), season);
+});
+
+test('a wrong secret is reported, not ignored', async () => {
+  await assert.rejects(run(['push-config', 's50'], { ...cliEnv, ADMIN_SECRET: 'nope' }), /unauthorized/);
+});
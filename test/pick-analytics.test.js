@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computePickAnalytics } from '../pick-analytics.js';
+
+const cast = ['q burdette', 'ozzy lusth', 'cirie fields', 'rick devens'].map(name => ({ name, tribe: name === 'rick devens' ? 'vatu' : 'kalo' }));
+const [q, ozzy, cirie, rick] = cast;
+const pick = (contestant, total) => ({ contestant, total });
+const result = (name, picks, alternates = []) => ({ name, picks, alternates });
+
+test('with two rosters a pick is chalk only when both took it', () => {
+  const { players } = computePickAnalytics([
+    result('mom', [pick(q, 10), pick(ozzy, 4)]),
+    result('dad', [pick(q, 10), pick(cirie, 6)]),
+  ], cast);
+  assert.deepEqual(players.map(p => [p.name, p.chalk, p.leverage]), [['mom', 10, 4], ['dad', 10, 6]]);
+  assert.deepEqual(players.map(p => p.unique.map(c => c.name)), [['ozzy lusth'], ['cirie fields']]);
+  assert.deepEqual(players.map(p => p.contrarian), [50, 50]);
+});
+
+test('a strict majority of rosters makes chalk and a lone roster has none', () => {
+  const standings = [
+    result('mom', [pick(q, 10), pick(ozzy, 4)]),
+    result('dad', [pick(q, 10), pick(ozzy, 4)]),
+    result('kid', [pick(cirie, 6), pick(rick, 2)], [{ ...pick(q, 10), swappedIn: true }]),
+  ];
+  const { players, popularity, untaken } = computePickAnalytics(standings, cast);
+  assert.deepEqual(players.map(p => [p.chalk, p.leverage]), [[14, 0], [14, 0], [10, 8]]);
+  assert.deepEqual(players[2].tribes, { kalo: 1, vatu: 1 });
+  assert.deepEqual(popularity.map(p => [p.contestant.name, p.picks, p.alternates]), [
+    ['q burdette', 2, 1], ['ozzy lusth', 2, 0], ['cirie fields', 1, 0], ['rick devens', 1, 0],
+  ]);
+  assert.deepEqual(untaken, []);
+
+  const alone = computePickAnalytics([result('mom', [pick(q, 10)])], cast);
+  assert.deepEqual(alone.players.map(p => [p.chalk, p.leverage, p.contrarian]), [[0, 10, 0]]);
+  assert.deepEqual(alone.untaken.map(c => c.name), ['ozzy lusth', 'cirie fields', 'rick devens']);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRoster, validatePrediction } from '../roster-rules.js';
+
+const rules = { picksPerPlayer: 2, alternates: 1, contestants: ['q burdette', 'ozzy lusth', 'cirie fields', 'rick devens'] };
+const roster = { name: 'mom', picks: ['q burdette', 'ozzy lusth'], alternates: ['cirie fields'] };
+
+test('a complete roster passes', () => {
+  assert.deepEqual(validateRoster(roster, rules), { ok: true, errors: {} });
+});
+
+test('each problem is reported against its own field', () => {
+  const { ok, errors } = validateRoster({
+    name: 'x'.repeat(40),
+    pin: '12',
+    picks: ['q burdette', 'q burdette'],
+    alternates: ['boston rob'],
+  }, rules);
+  assert.equal(ok, false);
+  assert.deepEqual(Object.keys(errors).sort(), ['alternates', 'name', 'picks', 'pin']);
+  assert.equal(errors.picks, 'q burdette is chosen twice');
+  assert.equal(errors.alternates, 'not in the cast: boston rob');
+});
+
+test('counts, overlaps and alternate slots follow the season', () => {
+  assert.equal(validateRoster({ ...roster, picks: ['q burdette'] }, rules).errors.picks, 'choose exactly 2 picks');
+  assert.equal(validateRoster({ ...roster, alternates: ['q burdette'] }, rules).errors.alternates, "q burdette can't be both a pick and an alternate");
+  assert.ok(validateRoster({ ...roster, alternateSlots: [2] }, rules).errors.alternateSlots);
+  assert.ok(validateRoster({ ...roster, alternateSlots: [1] }, rules).ok);
+});
+
+test('the tiebreaker guess is optional but has to be a whole number', () => {
+  assert.ok(validateRoster({ ...roster, finalVotesGuess: 0 }, rules).ok);
+  assert.ok(validateRoster({ ...roster, finalVotesGuess: null }, rules).ok);
+  assert.equal(validateRoster({ ...roster, finalVotesGuess: 2.5 }, rules).errors.finalVotesGuess, 'guess a whole number of votes');
+  assert.ok(validateRoster({ ...roster, finalVotesGuess: '5' }, rules).errors.finalVotesGuess);
+});
+
+test('closed or past-deadline seasons reject the whole form', () => {
+  assert.equal(validateRoster(roster, { ...rules, open: false }).errors.form, 'submissions are not open');
+  const deadline = '2026-02-25T01:00:00Z';
+  assert.equal(validateRoster(roster, { ...rules, deadline }, new Date('2026-03-01')).errors.form, 'submissions are closed');
+  assert.ok(validateRoster(roster, { ...rules, deadline }, new Date('2026-02-01')).ok);
+});
+
+test('rules the season does not define are not checked', () => {
+  assert.ok(validateRoster({ name: 'mom', picks: ['anyone'], alternates: [] }, {}).ok);
+});
+
+test('a prediction names someone in the cast before that episode\'s cutoff', () => {
+  const weekly = { ...rules, predictionCutoffs: ['2026-03-05T01:00:00Z', '2026-03-12T01:00:00Z'] };
+  const guess = { name: 'mom', episode: 2, boot: 'q burdette', immunity: 'ozzy lusth' };
+  assert.ok(validatePrediction(guess, weekly, new Date('2026-03-06')).ok);
+  assert.equal(validatePrediction(guess, weekly, new Date('2026-03-13')).errors.form, 'predictions for episode 2 are closed');
+  assert.equal(validatePrediction({ ...guess, episode: 3 }, weekly).errors.form, 'predictions for episode 3 are not open');
+  assert.equal(validatePrediction({ ...guess, boot: 'boston rob' }, weekly, new Date('2026-03-06')).errors.boot, 'not in the cast: boston rob');
+  assert.equal(validatePrediction({ ...guess, immunity: 'q burdette' }, weekly, new Date('2026-03-06')).errors.immunity, "the immunity winner can't go home");
+  assert.ok(validatePrediction({ ...guess, immunity: null }, weekly, new Date('2026-03-06')).ok);
+});
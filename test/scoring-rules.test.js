@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONTESTANT_RULES } from '../scoring-rules.js';
+
+const season = { contestantCount: 18 };
+const score = (rule, c, episode = 13) => CONTESTANT_RULES[rule.type](rule, { bonuses: {}, ...c }, season, episode);
+
+test('winning fire scores and losing it does not', () => {
+  const rule = { type: 'fire', points: 3 };
+  const winner = { name: 'sage ahrens-nichols', placement: 3, method: 'runner-up', bonuses: { fireWin: [13] } };
+  const loser = { name: 'rizo velovic', placement: 4, method: 'fire-making', jury: true };
+  assert.equal(score(rule, winner), 3);
+  assert.equal(score(rule, loser), 0);
+});
+
+test('a blindside with an idol in pocket takes points off', () => {
+  const rule = { type: 'blindside', points: -2 };
+  assert.equal(score(rule, { placement: 9, method: 'voted out', bonuses: { idolBlindside: [8] } }), -2);
+  assert.equal(score(rule, { placement: 10, method: 'voted out', bonuses: { idolFound: [5] } }), 0);
+  // counts stand in for episode lists in older seasons
+  assert.equal(score(rule, { placement: 11, method: 'voted out', bonuses: { idolBlindside: 1 } }), -2);
+});
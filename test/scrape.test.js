@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseContestants, parseEpisodes, deriveBonuses, wikiEvents, reconcileEvents, diffEvents } from '../scripts/scrape.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const fixture = name => readFileSync(join(__dirname, 'fixtures', name), 'utf-8');
+const contestants = seasonId => JSON.parse(readFileSync(join(ROOT, 'data', seasonId, 'contestants.json'), 'utf-8'));
+
+// the roster as it looked before the premiere: names only, no results yet
+const blank = list => list.map(c => ({ name: c.name, placement: null, method: null, jury: false, note: '', bonuses: {} }));
+
+test('s49 castaway table reproduces the final contestants.json', () => {
+  const golden = contestants('s49');
+  const parsed = parseContestants(fixture('s49.html'), blank(golden));
+  const byName = new Map(parsed.map(c => [c.name, c]));
+
+  for (const c of golden) {
+    const got = byName.get(c.name);
+    assert.deepEqual(
+      { placement: got.placement, method: got.method, jury: got.jury },
+      { placement: c.placement, method: c.method, jury: c.jury },
+      c.name
+    );
+  }
+});
+
+test('placement comes from the finish column, not the row order', () => {
+  const html = fixture('s49.html');
+  const rows = html.match(/<tr>\s*<td[\s\S]*?<\/tr>/g);
+  // the finalists first and the jury upside down; the medevac keeps the boot it followed
+  const shuffled = [...rows.slice(3).reverse(), ...rows.slice(0, 3)];
+  const reordered = html.replace(rows.join('\n'), shuffled.join('\n'));
+  assert.notEqual(reordered, html);
+
+  const roster = blank(contestants('s49'));
+  const placements = list => Object.fromEntries(list.map(c => [c.name, c.placement]));
+  const expected = placements(parseContestants(html, roster));
+  const got = placements(parseContestants(reordered, roster));
+  assert.deepEqual(got, expected);
+});
+
+test('days in the finish column order a medevac and a double boot', () => {
+  const roster = blank(['ann a', 'ben b', 'cat c', 'dan d', 'eve e', 'fay f'].map(name => ({ name })));
+  const row = (name, finish) => `<tr><td>${name}</td><td>${finish}</td></tr>`;
+  const html = `<table class="wikitable"><tr><th>Castaway</th><th>Finish</th></tr>
+    ${row('Fay F', 'Runner-Up<br />Day 26')}
+    ${row('Ben B', '2nd Voted Out<br />Day 8')}
+    ${row('Ann A', 'Sole Survivor<br />Day 26')}
+    ${row('Dan D', 'Medically Evacuated<br />Day 6')}
+    ${row('Eve E', '1st Voted Out<br />Day 3')}
+    ${row('Cat C', '3rd Voted Out<br />Day 8')}
+  </table>`;
+  const placements = Object.fromEntries(parseContestants(html, roster).map(c => [c.name, c.placement]));
+  assert.deepEqual(placements, { 'ann a': 1, 'fay f': 2, 'cat c': 3, 'ben b': 4, 'dan d': 5, 'eve e': 6 });
+});
+
+test('shared surnames match the right castaway', () => {
+  const parsed = parseContestants(fixture('s49.html'), blank(contestants('s49')));
+  const byName = new Map(parsed.map(c => [c.name, c]));
+  assert.equal(byName.get('nate moore').placement, 11);
+  assert.equal(byName.get('alex moore').placement, 9);
+});
+
+test('episode tables derive episode-tagged bonuses', () => {
+  const names = ['alice smith', 'bob jones', 'carl q', 'dee dee'];
+  const parsed = parseEpisodes(fixture('episodes.html'), names);
+  assert.deepEqual(parsed.found, { summary: true, votes: true, advantages: true });
+  assert.deepEqual(parsed.episodes.map(e => e.eliminated), [['dee dee'], ['carl q'], ['bob jones']]);
+
+  const { bonuses } = deriveBonuses(parsed);
+  assert.deepEqual(bonuses.get('alice smith').immunityWin, [2]);
+  assert.deepEqual(bonuses.get('alice smith').idolFound, [1]);
+  assert.deepEqual(bonuses.get('bob jones').immunityWin, [3]);
+});
+
+test('episode tables become an event log', () => {
+  const roster = blank(['alice smith', 'bob jones', 'carl q', 'dee dee'].map(name => ({ name })));
+  const html = fixture('episodes.html');
+  const { events, types } = wikiEvents(parseContestants(html, roster), parseEpisodes(html, roster.map(c => c.name)));
+
+  const summary = events.map(e => `${e.episode} ${e.type} ${e.contestant}`);
+  assert.deepEqual(summary.filter(line => line.includes('eliminated') || line.includes('winner')), [
+    '1 eliminated dee dee', '2 eliminated carl q', '3 eliminated bob jones', '3 winner alice smith'
+  ]);
+  assert.ok(summary.includes('1 idol_found alice smith'));
+  assert.deepEqual(events.find(e => e.type === 'vote_received' && e.contestant === 'dee dee'),
+    { type: 'vote_received', episode: 1, contestant: 'dee dee', count: 2 });
+  assert.ok(types.has('immunity_win') && types.has('eliminated'));
+});
+
+test('reconciling appends only what the log is missing', () => {
+  const generated = [
+    { type: 'eliminated', episode: 1, contestant: 'dee dee', method: 'voted out' },
+    { type: 'immunity_win', episode: 2, contestant: 'alice smith' },
+  ];
+  const types = new Set(['eliminated', 'winner', 'immunity_win']);
+  const log = [
+    { type: 'eliminated', episode: 1, contestant: 'dee dee', method: 'voted out', source: 'wiki' },
+    { type: 'immunity_win', episode: 2, contestant: 'bob jones', source: 'wiki' },
+    { type: 'idol_found', episode: 2, contestant: 'bob jones', source: 'wiki' },
+    { type: 'immunity_win', episode: 3, contestant: 'carl q' },
+  ];
+
+  // bob's wrong win is retracted, alice's is added; the manual entry and the
+  // idol (no idol table this run) stay put
+  const { entries, conflicts } = reconcileEvents(log, { events: generated, types });
+  assert.deepEqual(entries, [
+    { type: 'retract', index: 1, source: 'wiki' },
+    { type: 'immunity_win', episode: 2, contestant: 'alice smith', source: 'wiki' },
+  ]);
+  assert.deepEqual(conflicts, []);
+
+  const settled = [...log, ...entries];
+  assert.deepEqual(reconcileEvents(settled, { events: generated, types }).entries, []);
+});
+
+test('live results the wiki contradicts are flagged, not overwritten', () => {
+  const generated = [
+    { type: 'eliminated', episode: 4, contestant: 'carl q', method: 'voted out' },
+    { type: 'immunity_win', episode: 4, contestant: 'alice smith' },
+  ];
+  const types = new Set(['eliminated', 'winner', 'immunity_win']);
+  const live = [
+    { type: 'eliminated', episode: 4, contestant: 'carl q', method: 'quit', source: 'live' },
+    { type: 'immunity_win', episode: 4, contestant: 'alice smith', source: 'live' },
+    { type: 'immunity_win', episode: 5, contestant: 'bob jones', source: 'live' },
+  ];
+
+  const { entries, conflicts } = reconcileEvents([], { events: generated, types, through: 4 }, live);
+  // the confirmed win is logged; carl's boot is held back; episode 5 isn't on the wiki yet
+  assert.deepEqual(entries, [{ type: 'immunity_win', episode: 4, contestant: 'alice smith', source: 'wiki' }]);
+  assert.deepEqual(conflicts, [{ live: live[0], wiki: generated[0] }]);
+
+  // once the live entry is retracted the wiki's version goes in
+  const retracted = [...live, { type: 'retract', index: 0, source: 'live' }];
+  assert.equal(reconcileEvents([], { events: generated, types, through: 4 }, retracted).entries.length, 2);
+});
+
+test('boots the episode guide can place are logged and the rest are left alone', () => {
+  const cast = [
+    { name: 'dee dee', placement: 4, method: 'voted out', jury: false, episode: 1 },
+    { name: 'carl q', placement: 3, method: 'medevac', jury: false, episode: null },
+    { name: 'bob jones', placement: 2, method: 'voted out', jury: true, episode: 3 },
+    { name: 'alice smith', placement: null, method: null, jury: false, episode: null },
+  ];
+  const wiki = wikiEvents(cast, { found: {}, episodes: [] });
+  // bob comes after the gap carl leaves, so he keeps his placement
+  assert.deepEqual(wiki.events, [
+    { type: 'eliminated', episode: 1, contestant: 'dee dee', method: 'voted out' },
+    { type: 'eliminated', episode: 3, contestant: 'bob jones', method: 'voted out', jury: true, placement: 2 },
+  ]);
+  assert.deepEqual(wiki.unplaced, ['carl q']);
+
+  // carl's boot, logged by hand, isn't retracted while the wiki can't place it
+  const log = [{ type: 'eliminated', episode: 2, contestant: 'carl q', method: 'medevac', source: 'wiki' }];
+  assert.deepEqual(reconcileEvents(log, wiki).entries.map(e => e.type), ['eliminated', 'eliminated']);
+});
+
+test('dry-run diff lists placement and event changes per contestant', () => {
+  const log = [
+    { type: 'eliminated', episode: 1, contestant: 'dee dee', method: 'voted out', source: 'wiki' },
+    { type: 'immunity_win', episode: 2, contestant: 'bob jones', source: 'wiki' },
+  ];
+  const entries = [
+    { type: 'retract', index: 1, source: 'wiki' },
+    { type: 'immunity_win', episode: 2, contestant: 'alice smith', source: 'wiki' },
+    { type: 'eliminated', episode: 2, contestant: 'carl q', method: 'quit', source: 'wiki' },
+  ];
+  assert.deepEqual(diffEvents(log, entries, 4), [
+    '  carl q: placement — → 3, + ep 2 eliminated (quit)',
+    '  bob jones: - ep 2 immunity win',
+    '  alice smith: + ep 2 immunity win',
+  ]);
+  assert.deepEqual(diffEvents(log, [], 4), []);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { validateData, checkSeason, checkSchema, SCHEMAS } from '../scripts/validate.js';
+
+const season = {
+  id: 's1', number: 1, name: 'survivor 1', status: 'completed', contestantCount: 3,
+  picksPerPlayer: 1, alternates: 1, scoring: [{ type: 'placement', curve: 'linear' }],
+};
+const contestants = [
+  { name: 'alice smith', placement: 1, method: 'winner' },
+  { name: 'bob jones', placement: 2, method: 'runner-up' },
+  { name: 'carl q', placement: 3, method: 'voted out' },
+];
+
+test('the committed data is valid', () => {
+  assert.deepEqual(validateData(), []);
+});
+
+test('schema errors name the file and the field', () => {
+  assert.deepEqual(checkSchema([{ name: 'mom', picks: 'alice smith', altenates: [] }], SCHEMAS.picks), [
+    '[0].picks: expected array, got string',
+    '[0]: unexpected field altenates',
+  ]);
+  const errors = checkSeason('s1', { season: { ...season, scoring: [{ type: 'bonsu' }] }, contestants });
+  assert.deepEqual(errors, ['data/s1/season.json: scoring[0].type: "bonsu" is not one of placement, finish, bonus, jury, method, survival, fire, blindside, predictions']);
+});
+
+test('cross-file problems are caught', () => {
+  const errors = checkSeason('s1', {
+    season: { ...season, contestantCount: 4 },
+    contestants: [...contestants.slice(0, 2), { ...contestants[2], placement: 2 }],
+    picks: { 'picks.json': [{ name: 'mom', picks: ['alice smth'], alternates: ['bob jones'] }] },
+    events: [{ type: 'immunity_win', episode: 1, contestant: 'dee dee' }],
+  });
+  assert.deepEqual(errors, [
+    'data/s1/season.json: contestantCount is 4 but contestants.json lists 3',
+    'data/s1/contestants.json: placement 2 goes to bob jones and carl q',
+    'data/s1/events.json: [0]: dee dee is not in contestants.json',
+    'data/s1/picks.json: mom: not in the cast: alice smth',
+  ]);
+});
+
+test('a drafting league\'s rosters are sized by its draft, not season.json', () => {
+  const rows = [{ name: 'mom', picks: ['alice smith', 'bob jones'], alternates: [] }];
+  assert.deepEqual(checkSeason('s1', { season, contestants, picks: { 'picks-office.json': rows } }), [
+    'data/s1/picks-office.json: mom: choose exactly 1 pick',
+    'data/s1/picks-office.json: mom: choose exactly 1 alternate',
+  ]);
+  assert.deepEqual(checkSeason('s1', { season, contestants, picks: { 'picks-office.json': rows }, draftLeagues: ['office'] }), []);
+
+  // the cast is still checked
+  const stray = [{ name: 'mom', picks: ['dee dee'], alternates: [] }];
+  assert.deepEqual(checkSeason('s1', { season, contestants, picks: { 'picks-office.json': stray }, draftLeagues: ['office'] }), [
+    'data/s1/picks-office.json: mom: not in the cast: dee dee',
+  ]);
+});
+
+test('prediction files name real contestants, once per player and episode', () => {
+  const errors = checkSeason('s1', {
+    season,
+    contestants,
+    predictions: { 'predictions.json': [
+      { name: 'mom', episode: 1, boot: 'carl q', immunity: 'carl q' },
+      { name: 'mom', episode: 1, boot: 'bob jones' },
+      { name: 'dad', episode: 2, boot: 'dee dee' },
+    ] },
+  });
+  assert.deepEqual(errors, [
+    'data/s1/predictions.json: mom in episode 1 has more than one prediction',
+    'data/s1/predictions.json: mom, episode 1: the immunity winner can\'t go home',
+    'data/s1/predictions.json: dad, episode 2: not in the cast: dee dee',
+  ]);
+});
+
+test('fire-making wins and idol blindsides are events and scoring rules', () => {
+  const errors = checkSeason('s1', {
+    season: { ...season, scoring: [...season.scoring, { type: 'fire', points: 3 }, { type: 'blindside' }] },
+    contestants,
+    events: [
+      { type: 'fire_win', episode: 2, contestant: 'bob jones' },
+      { type: 'idol_blindside', episode: 1, contestant: 'carl q' },
+      { type: 'idol_blindside', episode: 1 },
+    ],
+  });
+  assert.deepEqual(errors, [
+    'data/s1/season.json: scoring[2]: a blindside rule needs points',
+    'data/s1/events.json: [2]: idol_blindside needs contestant',
+  ]);
+});
+
+test('an event log that places two people in the same spot is caught', () => {
+  const errors = checkSeason('s1', {
+    season,
+    contestants: contestants.map(c => ({ name: c.name })),
+    events: [
+      { type: 'eliminated', episode: 1, contestant: 'carl q' },
+      { type: 'eliminated', episode: 2, contestant: 'bob jones', placement: 3 },
+      { type: 'eliminated', episode: 2, contestant: 'carl q' },
+      { type: 'retract', index: 2 },
+    ],
+  });
+  assert.deepEqual(errors, ['data/s1/events.json: placement 3 goes to carl q and bob jones']);
+});
+
+test('seasons.json entries need a folder and the folder has to agree', () => {
+  const root = mkdtempSync(join(tmpdir(), 'survivor-validate-'));
+  try {
+    mkdirSync(join(root, 'data', 's1'), { recursive: true });
+    writeFileSync(join(root, 'data', 'seasons.json'), JSON.stringify([
+      { id: 's1', number: 1, name: 'survivor 1', status: 'active' },
+      { id: 's2', number: 2, name: 'survivor 2', status: 'active' },
+    ]));
+    writeFileSync(join(root, 'data', 'leagues.json'), JSON.stringify([{ id: 'family', name: 'family' }]));
+    writeFileSync(join(root, 'data', 's1', 'season.json'), JSON.stringify(season));
+    writeFileSync(join(root, 'data', 's1', 'contestants.json'), JSON.stringify(contestants));
+    writeFileSync(join(root, 'data', 's1', 'picks-office.json'), '[]');
+
+    assert.deepEqual(validateData(root), [
+      'data/seasons.json: s2 has no data/s2/ folder',
+      'data/s1/season.json: status is "completed" but data/seasons.json says "active"',
+      'data/s1/picks-office.json: no league office in data/leagues.json',
+    ]);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
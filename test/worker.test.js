@@ -0,0 +1,444 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { createEmulator, fakeClock } from '../worker/emulator.js';
+import { memoryKV } from '../worker/memory-kv.js';
+
+const ADMIN_SECRET = 'test-secret';
+const START = '2026-02-01T00:00:00.000Z';
+
+function emulator({ kv } = {}) {
+  return createEmulator({ kv, clock: fakeClock(START), adminSecret: ADMIN_SECRET });
+}
+
+function call(worker, method, path, body, auth) {
+  const headers = { 'Content-Type': 'application/json', ...(auth ? { Authorization: `Bearer ${auth}` } : {}) };
+  return worker.fetch(path, { method, headers, body: body ? JSON.stringify(body) : undefined })
+    .then(async res => ({ status: res.status, body: await res.json() }));
+}
+
+const sha256 = text => createHash('sha256').update(text).digest('hex');
+
+const roster = i => ({ season: 's50', name: `player ${i}`, picks: ['q burdette', 'ozzy lusth'], alternates: ['cirie fields'] });
+
+test('concurrent submissions are all kept', async () => {
+  const worker = emulator({ kv: memoryKV({ latency: 10, pageSize: 7 }) });
+  const results = await Promise.all(Array.from({ length: 30 }, (_, i) => call(worker, 'POST', '/picks', roster(i))));
+  assert.ok(results.every(r => r.status === 200), JSON.stringify(results.find(r => r.status !== 200)));
+
+  const { body } = await call(worker, 'GET', '/picks/s50');
+  assert.equal(body.picks.length, 30);
+  assert.deepEqual(new Set(body.picks.map(p => p.name)), new Set(Array.from({ length: 30 }, (_, i) => `player ${i}`)));
+  assert.ok(body.picks.every(p => !p.tokenHash));
+});
+
+test('concurrent edits and new submissions do not clobber each other', async () => {
+  const worker = emulator({ kv: memoryKV({ latency: 10 }) });
+  const first = await call(worker, 'POST', '/picks', roster(0));
+  const edit = { ...roster(0), picks: ['rick devens', 'aubry bracco'], token: first.body.token };
+  await Promise.all([call(worker, 'POST', '/picks', edit), call(worker, 'POST', '/picks', roster(1)), call(worker, 'POST', '/picks', roster(2))]);
+
+  const { body } = await call(worker, 'GET', '/picks/s50');
+  assert.equal(body.picks.length, 3);
+  assert.deepEqual(body.picks.find(p => p.name === 'player 0').picks, ['rick devens', 'aubry bracco']);
+});
+
+test('leagues keep separate submissions', async () => {
+  const worker = emulator();
+  await call(worker, 'POST', '/admin/league', { league: 'office', secret: 'office-secret' }, ADMIN_SECRET);
+  await call(worker, 'POST', '/picks', roster(0));
+  await call(worker, 'POST', '/picks', { ...roster(1), league: 'office' });
+
+  assert.deepEqual((await call(worker, 'GET', '/picks/s50')).body.picks.map(p => p.name), ['player 0']);
+  assert.deepEqual((await call(worker, 'GET', '/picks/s50/office')).body.picks.map(p => p.name), ['player 1']);
+});
+
+test('the old single-array key is folded into per-submission keys', async () => {
+  const worker = emulator();
+  await worker.env.DATA.put('picks:s50', JSON.stringify([{ name: 'mom', picks: ['q burdette'], alternates: [], submittedAt: '2026-02-01T00:00:00.000Z' }]));
+  await call(worker, 'POST', '/picks', roster(0));
+
+  const exported = await call(worker, 'GET', '/admin/export/s50', null, ADMIN_SECRET);
+  assert.deepEqual(exported.body, [
+    { name: 'mom', picks: ['q burdette'], alternates: [] },
+    { name: 'player 0', picks: ['q burdette', 'ozzy lusth'], alternates: ['cirie fields'] },
+  ]);
+  assert.equal(await worker.env.DATA.get('picks:s50'), null);
+});
+
+test('deleted submissions can be restored', async () => {
+  const worker = emulator();
+  await call(worker, 'POST', '/picks', roster(0));
+  await call(worker, 'POST', '/picks', roster(1));
+
+  assert.equal((await call(worker, 'POST', '/admin/delete-pick', { season: 's50', name: 'player 0' }, ADMIN_SECRET)).body.remaining, 1);
+  assert.equal((await call(worker, 'POST', '/admin/restore-pick', { season: 's50', name: 'player 0' }, ADMIN_SECRET)).body.remaining, 2);
+});
+
+test('every version of a roster is kept and an earlier one can be restored', async () => {
+  const worker = emulator();
+  const first = await call(worker, 'POST', '/picks', roster(0));
+  await call(worker, 'POST', '/picks', { ...roster(0), picks: ['rick devens', 'aubry bracco'], token: first.body.token });
+
+  const { body } = await call(worker, 'GET', '/admin/history/s50?name=player%200', null, ADMIN_SECRET);
+  // both saves can land in the same millisecond, so don't rely on their order here
+  const byReason = Object.fromEntries(body.versions.map(v => [v.reason, v]));
+  assert.equal(body.versions.length, 2);
+  assert.equal(byReason.submitted.picks[0], 'q burdette');
+  assert.equal(byReason.updated.picks[0], 'rick devens');
+  assert.ok(body.versions.every(v => !v.tokenHash));
+
+  const restored = await call(worker, 'POST', '/admin/restore-version', { season: 's50', name: 'player 0', version: byReason.submitted.version }, ADMIN_SECRET);
+  assert.equal(restored.status, 200);
+  const current = (await call(worker, 'GET', '/picks/s50')).body.picks[0];
+  assert.deepEqual(current.picks, ['q burdette', 'ozzy lusth']);
+
+  // the player's edit link still works after the restore
+  const again = await call(worker, 'POST', '/picks', { ...roster(0), token: first.body.token });
+  assert.equal(again.status, 200);
+  assert.equal((await call(worker, 'GET', '/admin/history/s50?name=player%200', null, ADMIN_SECRET)).body.versions.length, 4);
+});
+
+test('admin actions land in the audit log', async () => {
+  const worker = emulator();
+  await call(worker, 'POST', '/picks', roster(0));
+  await call(worker, 'POST', '/admin/config', { season: 's50', open: false }, ADMIN_SECRET);
+  await call(worker, 'POST', '/admin/delete-pick', { season: 's50', name: 'player 0' }, ADMIN_SECRET);
+
+  const { body } = await call(worker, 'GET', '/admin/audit/s50', null, ADMIN_SECRET);
+  assert.deepEqual(body.entries.map(e => e.action), ['delete pick', 'config']);
+  assert.deepEqual(body.entries[1].changes, { open: false });
+  assert.equal(body.entries[0].actor, 'site admin');
+  assert.equal((await call(worker, 'GET', '/admin/audit/s50', null, 'wrong')).status, 401);
+});
+
+test('a league admin sees its own league\'s actions and site-wide ones, never another league\'s', async () => {
+  const worker = emulator();
+  await call(worker, 'POST', '/admin/league', { league: 'office', secret: 'office-secret' }, ADMIN_SECRET);
+  await call(worker, 'POST', '/picks', roster(0));
+  await call(worker, 'POST', '/admin/delete-pick', { season: 's50', name: 'player 0' }, ADMIN_SECRET);
+  await call(worker, 'POST', '/admin/config', { season: 's50', league: 'office', open: false }, 'office-secret');
+  await call(worker, 'POST', '/admin/event', { season: 's50', event: { type: 'immunity_win', episode: 1, contestant: 'q burdette' } }, ADMIN_SECRET);
+
+  const office = (await call(worker, 'GET', '/admin/audit/s50/office', null, 'office-secret')).body.entries;
+  assert.deepEqual(office.map(e => e.action), ['record result', 'config']);
+  assert.equal(office[1].actor, 'league admin');
+  const family = (await call(worker, 'GET', '/admin/audit/s50', null, ADMIN_SECRET)).body.entries;
+  assert.deepEqual(family.map(e => e.action), ['record result', 'delete pick']);
+  assert.equal(family[1].league, 'family');
+});
+
+test('submissions are checked against the pushed season rules', async () => {
+  const worker = emulator();
+  await call(worker, 'POST', '/admin/config', {
+    season: 's50', picksPerPlayer: 2, alternates: 1, contestants: ['q burdette', 'ozzy lusth', 'cirie fields'],
+  }, ADMIN_SECRET);
+
+  const bad = await call(worker, 'POST', '/picks', { ...roster(0), picks: ['q burdette', 'q burdette'] });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.body.errors, { picks: 'q burdette is chosen twice' });
+
+  assert.equal((await call(worker, 'POST', '/picks', roster(0))).status, 200);
+
+  await call(worker, 'POST', '/admin/config', { season: 's50', open: false }, ADMIN_SECRET);
+  const closed = await call(worker, 'POST', '/picks', roster(1));
+  assert.equal(closed.status, 403);
+  assert.equal(closed.body.error, 'submissions are not open');
+});
+
+// --- every route against the emulator ---
+
+const CAST = ['q burdette', 'ozzy lusth', 'cirie fields', 'rick devens', 'aubry bracco'];
+const pushConfig = (worker, config) => call(worker, 'POST', '/admin/config', { season: 's50', ...config }, ADMIN_SECRET);
+
+test('a submission gets an edit token and only that token can change it', async () => {
+  const worker = emulator();
+  const first = await call(worker, 'POST', '/picks', roster(0));
+  assert.equal(first.status, 200);
+  assert.ok(first.body.token);
+
+  const stranger = await call(worker, 'POST', '/picks', { ...roster(0), picks: ['rick devens', 'aubry bracco'] });
+  assert.equal(stranger.status, 403);
+  const wrong = await call(worker, 'POST', '/picks', { ...roster(0), token: 'not-it' });
+  assert.equal(wrong.status, 403);
+
+  const missing = await call(worker, 'POST', '/picks', { season: 's50', name: 'player 1' });
+  assert.equal(missing.status, 400);
+
+  // a blank pin field is no pin at all: the roster still gets a token that can edit it
+  const blank = await call(worker, 'POST', '/picks', { ...roster(1), pin: '' });
+  assert.ok(blank.body.token);
+  assert.equal((await call(worker, 'POST', '/picks', { ...roster(1), token: blank.body.token })).status, 200);
+});
+
+test('pins are stored salted and a name locks after repeated wrong pins', async () => {
+  const worker = emulator();
+  await call(worker, 'POST', '/picks', { ...roster(0), pin: '1234' });
+  const stored = await worker.env.DATA.get('pick:s50/player 0', 'json');
+  assert.notEqual(stored.tokenHash, sha256('1234'));
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await call(worker, 'POST', '/picks', { ...roster(0), token: `000${i}` })).status, 403);
+  }
+  const locked = await call(worker, 'POST', '/picks', { ...roster(0), token: '1234' });
+  assert.equal(locked.status, 429);
+
+  worker.clock.advance(15 * 60 * 1000);
+  assert.equal((await call(worker, 'POST', '/picks', { ...roster(0), token: '1234' })).status, 200);
+});
+
+test('wrong tokens on sealed reads never lock the player out of editing', async () => {
+  const worker = emulator();
+  await pushConfig(worker, { picksPerPlayer: 2, alternates: 1, contestants: CAST, deadline: '2026-02-10T00:00:00Z' });
+  await call(worker, 'POST', '/picks', { ...roster(0), pin: '1234' });
+  const read = (name, token) => worker.fetch(`/picks/s50?name=${encodeURIComponent(name)}`, { headers: { 'X-Edit-Token': token } }).then(res => res.json());
+
+  for (let i = 0; i < 6; i++) {
+    assert.ok(!(await read('player 0', `000${i}`)).picks.some(p => p.picks));
+    await worker.fetch('/predictions/s50?name=player%200', { headers: { 'X-Edit-Token': `000${i}` } });
+  }
+  // guessing at reads is still throttled, but on its own count
+  assert.ok(!(await read('player 0', '1234')).picks.some(p => p.picks));
+  assert.equal((await call(worker, 'POST', '/picks', { ...roster(0), token: '1234' })).status, 200);
+
+  // a roster entered without a token has nothing to check and nothing to count
+  await worker.env.DATA.put('pick:s50/mom', JSON.stringify({ name: 'mom', picks: ['q burdette'], alternates: [], submittedAt: START }));
+  await read('mom', 'guess');
+  assert.deepEqual((await worker.env.DATA.list({ prefix: 'read-failures' })).keys.filter(k => k.name.endsWith('/mom')), []);
+});
+
+test('rosters saved with an unsalted pin hash still accept it and are re-salted', async () => {
+  const worker = emulator();
+  await worker.env.DATA.put('pick:s50/mom', JSON.stringify({ name: 'mom', picks: ['q burdette'], alternates: [], submittedAt: START, tokenHash: sha256('4321') }));
+  assert.equal((await call(worker, 'POST', '/picks', { ...roster(0), name: 'mom', token: '4321' })).status, 200);
+  assert.notEqual((await worker.env.DATA.get('pick:s50/mom', 'json')).tokenHash, sha256('4321'));
+  assert.equal((await call(worker, 'POST', '/picks', { ...roster(0), name: 'mom', token: '4321' })).status, 200);
+});
+
+test('picks stay sealed until the deadline and submissions close at it', async () => {
+  const worker = emulator();
+  await pushConfig(worker, { picksPerPlayer: 2, alternates: 1, contestants: CAST, deadline: '2026-02-10T00:00:00Z' });
+  const { body: { token } } = await call(worker, 'POST', '/picks', roster(0));
+
+  const sealed = await call(worker, 'GET', '/picks/s50');
+  assert.deepEqual(sealed.body.picks, [{ name: 'player 0', submittedAt: START }]);
+  const own = await worker.fetch('/picks/s50?name=player%200', { headers: { 'X-Edit-Token': token } }).then(res => res.json());
+  assert.ok(own.picks.some(p => p.picks));
+  const inQuery = await call(worker, 'GET', `/picks/s50?name=player%200&token=${token}`);
+  assert.ok(!inQuery.body.picks.some(p => p.picks));
+
+  worker.clock.set('2026-02-10T00:00:00Z');
+  const late = await call(worker, 'POST', '/picks', roster(1));
+  assert.equal(late.status, 403);
+  assert.equal(late.body.error, 'submissions are closed');
+  const edit = await call(worker, 'POST', '/picks', { ...roster(0), token });
+  assert.equal(edit.status, 403);
+
+  const revealed = await call(worker, 'GET', '/picks/s50');
+  assert.deepEqual(revealed.body.picks.map(p => p.picks), [['q burdette', 'ozzy lusth']]);
+});
+
+test('submissions naming someone outside the cast are rejected', async () => {
+  const worker = emulator();
+  await pushConfig(worker, { picksPerPlayer: 2, alternates: 1, contestants: CAST });
+  const res = await call(worker, 'POST', '/picks', { ...roster(0), picks: ['q burdette', 'jeff probst'] });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors, { picks: 'not in the cast: jeff probst' });
+  assert.deepEqual((await call(worker, 'GET', '/picks/s50')).body.picks, []);
+});
+
+test('admin routes refuse a missing, wrong or other league\'s secret', async () => {
+  const worker = emulator();
+  await call(worker, 'POST', '/admin/league', { league: 'office', secret: 'office-secret' }, ADMIN_SECRET);
+  await call(worker, 'POST', '/admin/league', { league: 'gym', secret: 'gym-secret' }, ADMIN_SECRET);
+
+  const routes = [
+    ['POST', '/admin/config', { season: 's50', open: false }],
+    ['POST', '/admin/draft', { season: 's50', players: ['mom'], picksPerPlayer: 1, contestants: CAST }],
+    ['POST', '/admin/draft-seat', { season: 's50', name: 'mom' }],
+    ['POST', '/admin/league', { league: 'office', secret: 'stolen' }],
+    ['POST', '/admin/event', { season: 's50', event: { type: 'immunity_win', episode: 1, contestant: 'q burdette' } }],
+    ['POST', '/admin/delete-pick', { season: 's50', name: 'player 0' }],
+    ['POST', '/admin/restore-pick', { season: 's50', name: 'player 0' }],
+    ['POST', '/admin/restore-version', { season: 's50', name: 'player 0', version: 'x' }],
+    ['GET', '/admin/picks/s50'],
+    ['GET', '/admin/history/s50'],
+    ['GET', '/admin/audit/s50'],
+    ['GET', '/admin/export/s50'],
+    ['GET', '/admin/predictions/s50'],
+  ];
+  for (const [method, path, body] of routes) {
+    for (const auth of [null, 'wrong']) {
+      assert.equal((await call(worker, method, path, body, auth)).status, 401, `${method} ${path} as ${auth}`);
+    }
+    // a league secret only reaches its own league, and never the site-wide routes
+    const league = body ? { ...body, league: 'office' } : null;
+    const leaguePath = body ? path : `${path}/office`;
+    assert.equal((await call(worker, method, leaguePath, league, 'gym-secret')).status, 401, `${method} ${path} as gym`);
+  }
+  assert.equal((await call(worker, 'POST', '/admin/league', { league: 'gym', secret: 'x' }, 'office-secret')).status, 401);
+  assert.equal((await call(worker, 'POST', '/admin/event', { season: 's50', event: {} }, 'office-secret')).status, 401);
+  assert.equal((await call(worker, 'GET', '/admin/export/s50/office', null, 'office-secret')).status, 200);
+
+  // the admin page learns which kind of secret it holds, so it only offers live results to the site-wide one
+  assert.equal((await call(worker, 'GET', '/admin/picks/s50/office', null, 'office-secret')).body.siteAdmin, false);
+  assert.equal((await call(worker, 'GET', '/admin/picks/s50/office', null, ADMIN_SECRET)).body.siteAdmin, true);
+});
+
+test('a deleted roster leaves the export and the public list', async () => {
+  const worker = emulator();
+  await call(worker, 'POST', '/picks', roster(0));
+  await call(worker, 'POST', '/picks', roster(1));
+
+  const missing = await call(worker, 'POST', '/admin/delete-pick', { season: 's50', name: 'nobody' }, ADMIN_SECRET);
+  assert.equal(missing.body.remaining, 2);
+  await call(worker, 'POST', '/admin/delete-pick', { season: 's50', name: 'player 1' }, ADMIN_SECRET);
+
+  assert.deepEqual((await call(worker, 'GET', '/picks/s50')).body.picks.map(p => p.name), ['player 0']);
+  assert.deepEqual((await call(worker, 'GET', '/admin/export/s50', null, ADMIN_SECRET)).body, [
+    { name: 'player 0', picks: ['q burdette', 'ozzy lusth'], alternates: ['cirie fields'] },
+  ]);
+  const admin = await call(worker, 'GET', '/admin/picks/s50', null, ADMIN_SECRET);
+  assert.deepEqual(admin.body.deleted.map(p => p.name), ['player 1']);
+  assert.equal(admin.body.deleted[0].deletedAt, START);
+});
+
+test('a tiebreaker guess is checked, kept and exported', async () => {
+  const worker = emulator();
+  const bad = await call(worker, 'POST', '/picks', { ...roster(0), finalVotesGuess: -1 });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(Object.keys(bad.body.errors), ['finalVotesGuess']);
+
+  await call(worker, 'POST', '/picks', { ...roster(0), finalVotesGuess: 5 });
+  await call(worker, 'POST', '/picks', roster(1));
+  assert.equal((await call(worker, 'GET', '/picks/s50')).body.picks[0].finalVotesGuess, 5);
+  assert.deepEqual((await call(worker, 'GET', '/admin/export/s50', null, ADMIN_SECRET)).body.map(p => p.finalVotesGuess), [5, undefined]);
+});
+
+test('predictions need the roster\'s token, close at the cutoff and stay hidden until then', async () => {
+  const worker = emulator();
+  const guess = { season: 's50', name: 'player 0', episode: 1, boot: 'rick devens' };
+  assert.equal((await call(worker, 'POST', '/predictions', guess)).body.error, 'predictions are not open for this season');
+
+  await pushConfig(worker, { contestants: CAST, predictionCutoffs: ['2026-03-01T00:00:00Z', '2026-03-08T00:00:00Z'] });
+  const { token } = (await call(worker, 'POST', '/picks', roster(0))).body;
+  assert.equal((await call(worker, 'POST', '/predictions', { ...guess, name: 'player 9', token })).status, 403);
+  assert.equal((await call(worker, 'POST', '/predictions', { ...guess, token: 'not-it' })).status, 403);
+  const outside = await call(worker, 'POST', '/predictions', { ...guess, boot: 'boston rob', token });
+  assert.deepEqual(outside.body.errors, { boot: 'not in the cast: boston rob' });
+
+  assert.equal((await call(worker, 'POST', '/predictions', { ...guess, token })).status, 200);
+  assert.equal((await call(worker, 'POST', '/predictions', { ...guess, boot: 'aubry bracco', immunity: 'q burdette', token })).status, 200);
+  const before = await call(worker, 'GET', '/predictions/s50');
+  assert.deepEqual(before.body, { predictions: [], open: { episode: 1, cutoff: '2026-03-01T00:00:00Z' } });
+  const mine = (name, secret) => worker.fetch(`/predictions/s50?name=${encodeURIComponent(name)}`, { headers: { 'X-Edit-Token': secret } }).then(res => res.json());
+  assert.equal((await mine('player 0', token)).predictions[0].boot, 'aubry bracco');
+  assert.deepEqual((await call(worker, 'GET', `/predictions/s50?name=${encodeURIComponent('player 0')}&token=${token}`)).body.predictions, []);
+
+  // a roster saved with a pin predicts with that pin
+  await call(worker, 'POST', '/picks', { ...roster(1), pin: '2468' });
+  assert.equal((await call(worker, 'POST', '/predictions', { ...guess, name: 'player 1', token: '2468' })).status, 200);
+  assert.equal((await mine('player 1', '2468')).predictions[0].name, 'player 1');
+  assert.deepEqual((await mine('player 1', '1357')).predictions, []);
+
+  // one an admin entered has neither, and sits the game out
+  await worker.env.DATA.put('pick:s50/grandpa', JSON.stringify({ name: 'grandpa', picks: ['q burdette'], alternates: [], submittedAt: START }));
+  const tokenless = await call(worker, 'POST', '/predictions', { ...guess, name: 'grandpa', token: 'anything' });
+  assert.equal(tokenless.body.error, 'grandpa\'s roster has no edit link or pin, so it can\'t make predictions');
+
+  worker.clock.set('2026-03-02T00:00:00Z');
+  assert.equal((await call(worker, 'POST', '/predictions', { ...guess, token })).body.error, 'predictions for episode 1 are closed');
+  const after = await call(worker, 'GET', '/predictions/s50');
+  assert.deepEqual(after.body.predictions, [
+    { name: 'player 0', episode: 1, boot: 'aubry bracco', immunity: 'q burdette' },
+    { name: 'player 1', episode: 1, boot: 'rick devens' },
+  ]);
+  assert.equal(after.body.open.episode, 2);
+  assert.deepEqual((await call(worker, 'GET', '/admin/predictions/s50', null, ADMIN_SECRET)).body, after.body.predictions);
+});
+
+test('results recorded live are served back in order', async () => {
+  const worker = emulator();
+  await pushConfig(worker, { contestants: CAST });
+  const event = { type: 'eliminated', episode: 1, contestant: 'rick devens', method: 'voted out' };
+  assert.equal((await call(worker, 'POST', '/admin/event', { season: 's50', event }, ADMIN_SECRET)).status, 200);
+  const unknown = await call(worker, 'POST', '/admin/event', { season: 's50', event: { ...event, contestant: 'jeff probst' } }, ADMIN_SECRET);
+  assert.equal(unknown.status, 400);
+  await call(worker, 'POST', '/admin/event', { season: 's50', event: { type: 'retract', index: 0 } }, ADMIN_SECRET);
+
+  for (const type of ['fire_win', 'idol_blindside']) {
+    const recorded = await call(worker, 'POST', '/admin/event', { season: 's50', event: { type, episode: 12, contestant: 'q burdette' } }, ADMIN_SECRET);
+    assert.equal(recorded.status, 200, type);
+  }
+
+  const { body } = await call(worker, 'GET', '/events/s50');
+  assert.deepEqual(body.events.map(e => e.type), ['eliminated', 'retract', 'fire_win', 'idol_blindside']);
+  assert.ok(body.events.every(e => e.source === 'live' && e.recordedAt === START));
+});
+
+test('a draft turn that runs out of time is picked automatically', async () => {
+  const worker = emulator();
+  const opened = await call(worker, 'POST', '/admin/draft',
+    { season: 's50', players: ['mom', 'dad'], picksPerPlayer: 1, turnSeconds: 60, contestants: CAST }, ADMIN_SECRET);
+  const [first, second] = opened.body.room.order;
+  const tokens = {};
+  for (const name of [first, second]) tokens[name] = (await call(worker, 'POST', '/draft/join', { season: 's50', name })).body.token;
+
+  const early = await call(worker, 'POST', '/draft/claim', { season: 's50', name: second, token: tokens[second], contestant: 'q burdette' });
+  assert.equal(early.status, 409);
+  await call(worker, 'POST', '/draft/claim', { season: 's50', name: first, token: tokens[first], contestant: 'q burdette' });
+
+  worker.clock.advance(61 * 1000);
+  const { body: { room } } = await call(worker, 'GET', '/draft/s50');
+  assert.equal(room.status, 'complete');
+  assert.equal(room.picks[1].auto, true);
+  assert.deepEqual((await call(worker, 'GET', '/picks/s50')).body.picks.map(p => p.name).sort(), ['dad', 'mom']);
+});
+
+test('draft seats are claimed once by players in the order, and the clock waits for the first', async () => {
+  const worker = emulator();
+  await call(worker, 'POST', '/admin/draft', { season: 's50', players: ['mom', 'dad'], picksPerPlayer: 1, turnSeconds: 60, contestants: CAST }, ADMIN_SECRET);
+
+  worker.clock.advance(10 * 60 * 1000);
+  const idle = (await call(worker, 'GET', '/draft/s50')).body.room;
+  assert.deepEqual(idle.picks, []);
+  assert.equal(idle.turnEndsAt, null);
+
+  assert.equal((await call(worker, 'POST', '/draft/join', { season: 's50', name: 'uncle' })).status, 403);
+  const joined = await call(worker, 'POST', '/draft/join', { season: 's50', name: 'Mom' });
+  assert.deepEqual(joined.body.room.joined, ['mom']);
+  assert.equal(joined.body.room.turnEndsAt, new Date(Date.parse(START) + 10 * 60 * 1000 + 60 * 1000).toISOString());
+  assert.equal((await call(worker, 'POST', '/draft/join', { season: 's50', name: 'mom' })).status, 403);
+});
+
+test('an admin can reopen a draft seat whose token was lost', async () => {
+  const worker = emulator();
+  const opened = await call(worker, 'POST', '/admin/draft', { season: 's50', players: ['mom', 'dad'], picksPerPlayer: 1, contestants: CAST }, ADMIN_SECRET);
+  const first = opened.body.room.order[0];
+  const lost = (await call(worker, 'POST', '/draft/join', { season: 's50', name: first })).body.token;
+
+  const reopened = await call(worker, 'POST', '/admin/draft-seat', { season: 's50', name: first }, ADMIN_SECRET);
+  assert.deepEqual(reopened.body.room.joined, []);
+  const claim = token => call(worker, 'POST', '/draft/claim', { season: 's50', name: first, token, contestant: 'q burdette' });
+  assert.equal((await claim(lost)).status, 401);
+  const fresh = (await call(worker, 'POST', '/draft/join', { season: 's50', name: first })).body.token;
+  assert.equal((await claim(fresh)).status, 200);
+});
+
+test('drafted players predict with their seat token once the draft completes', async () => {
+  const worker = emulator();
+  await pushConfig(worker, { contestants: CAST, predictionCutoffs: ['2026-03-01T00:00:00Z'] });
+  const opened = await call(worker, 'POST', '/admin/draft', { season: 's50', players: ['mom', 'dad'], picksPerPlayer: 1, contestants: CAST }, ADMIN_SECRET);
+  const tokens = {};
+  for (const name of opened.body.room.order) tokens[name] = (await call(worker, 'POST', '/draft/join', { season: 's50', name })).body.token;
+  for (const [i, name] of opened.body.room.order.entries()) {
+    await call(worker, 'POST', '/draft/claim', { season: 's50', name, token: tokens[name], contestant: CAST[i] });
+  }
+  assert.equal((await call(worker, 'GET', '/draft/s50')).body.room.status, 'complete');
+
+  const guess = { season: 's50', name: 'mom', episode: 1, boot: 'rick devens' };
+  assert.equal((await call(worker, 'POST', '/predictions', { ...guess, token: tokens.mom })).status, 200);
+  assert.equal((await call(worker, 'POST', '/predictions', { ...guess, token: tokens.dad })).status, 403);
+  const own = await worker.fetch('/predictions/s50?name=mom', { headers: { 'X-Edit-Token': tokens.mom } }).then(res => res.json());
+  assert.equal(own.predictions[0].boot, 'rick devens');
+});
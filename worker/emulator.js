@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+// runs worker.js under node with an in-memory KV and a clock that can be moved, so the
+// site, the admin script and the tests can talk to a worker without deploying one
+// usage: node worker/emulator.js [--port 8787] [--now <iso time>]
+//   --now  freeze the clock at this time (otherwise it follows the real one)
+// every active season's config is pushed from data/ on start, as `admin.js push-config`
+// would. ADMIN_SECRET defaults to "local". point the site at it by opening it with
+// ?worker=http://localhost:8787, and the scripts with WORKER_URL=http://localhost:8787.
+// POST /__clock { "now": <iso time> } or { "advance": <ms> } moves the clock, e.g. past
+// a submission deadline. nothing is saved: stopping it drops every submission
+
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import worker from './worker.js';
+import { memoryKV } from './memory-kv.js';
+import { seasonConfig } from '../scripts/admin.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_ROOT = join(__dirname, '..');
+
+// a clock that only moves when told to; without a start time it runs with the real one
+export function fakeClock(start) {
+  let frozen = start == null ? null : new Date(start).getTime();
+  let offset = 0;
+  return {
+    now: () => (frozen == null ? Date.now() : frozen) + offset,
+    set(time) {
+      frozen = new Date(time).getTime();
+      offset = 0;
+    },
+    advance(ms) {
+      offset += ms;
+    },
+  };
+}
+
+export function createEmulator({ kv = memoryKV(), clock = fakeClock(), adminSecret = 'local' } = {}) {
+  const env = { DATA: kv, ADMIN_SECRET: adminSecret, CLOCK: clock };
+  const fetch = (path, init) => worker.fetch(new Request(`http://localhost${path}`, init), env);
+
+  async function handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = chunks.length ? Buffer.concat(chunks) : undefined;
+
+    if (req.method === 'POST' && req.url === '/__clock') {
+      const { now, advance } = JSON.parse(body || '{}');
+      if (now) clock.set(now);
+      if (advance) clock.advance(advance);
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+      res.end(JSON.stringify({ now: new Date(clock.now()).toISOString() }));
+      return;
+    }
+
+    const response = await fetch(req.url, { method: req.method, headers: req.headers, body });
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+  }
+
+  return {
+    env,
+    clock,
+    fetch,
+    // resolves with the http server once it is listening (port 0 picks a free one)
+    listen(port = 8787) {
+      const server = createServer((req, res) => handle(req, res).catch(e => {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: e.message }));
+      }));
+      return new Promise(resolve => server.listen(port, () => resolve(server)));
+    },
+  };
+}
+
+// config for every active season, the way push-config would send it
+export async function seedConfigs(env, root = DEFAULT_ROOT) {
+  const readJSON = path => JSON.parse(readFileSync(join(root, 'data', path), 'utf-8'));
+  const active = readJSON('seasons.json').filter(s => s.status === 'active');
+  for (const { id } of active) {
+    const config = seasonConfig(readJSON(`${id}/season.json`), readJSON(`${id}/contestants.json`));
+    await env.DATA.put(`config:${id}`, JSON.stringify(config));
+  }
+  return active.map(s => s.id);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flag = name => {
+    const i = args.indexOf(`--${name}`);
+    return i === -1 ? undefined : args[i + 1];
+  };
+  const emulator = createEmulator({
+    clock: fakeClock(flag('now')),
+    adminSecret: process.env.ADMIN_SECRET || 'local',
+  });
+  const seeded = await seedConfigs(emulator.env, process.env.SURVIVOR_ROOT || DEFAULT_ROOT);
+  const server = await emulator.listen(Number(flag('port') || 8787));
+  const url = `http://localhost:${server.address().port}`;
+  console.log(`worker emulator on ${url} (config pushed for ${seeded.join(', ') || 'no active seasons'})`);
+  console.log(`open the site with ?worker=${url}`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(e => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,38 @@
+// in-memory stand-in for a workers KV namespace (get/put/delete/list), for the tests and worker/emulator.js.
+// latency makes every call wait a random few ms so concurrent requests interleave
+// the way they do against real KV
+export function memoryKV({ latency = 0, pageSize = 1000 } = {}) {
+  const store = new Map();
+  const wait = () => latency ? new Promise(resolve => setTimeout(resolve, Math.random() * latency)) : Promise.resolve();
+
+  return {
+    store,
+
+    async get(key, options) {
+      await wait();
+      const type = typeof options === 'string' ? options : options && options.type;
+      const value = store.get(key);
+      if (value == null) return null;
+      return type === 'json' ? JSON.parse(value) : value;
+    },
+
+    async put(key, value) {
+      await wait();
+      store.set(key, String(value));
+    },
+
+    async delete(key) {
+      await wait();
+      store.delete(key);
+    },
+
+    async list({ prefix = '', cursor, limit = pageSize } = {}) {
+      await wait();
+      const names = [...store.keys()].filter(k => k.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const keys = names.slice(start, start + limit).map(name => ({ name }));
+      const done = start + limit >= names.length;
+      return { keys, list_complete: done, ...(done ? {} : { cursor: String(start + limit) }) };
+    },
+  };
+}
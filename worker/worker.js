@@ -1,8 +1,10 @@
+import { validateRoster, validatePrediction } from '../roster-rules.js';
+
 function corsHeaders() {
   return {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Edit-Token',
   };
 }
 
@@ -13,9 +15,386 @@ function json(data, status = 200) {
   });
 }
 
-function isAuthorized(request, env) {
-  const auth = request.headers.get('Authorization');
-  return auth === `Bearer ${env.ADMIN_SECRET}`;
+// the local emulator (worker/emulator.js) passes env.CLOCK to run on a fake clock;
+// deployed there is none and this is just Date.now()
+function clockNow(env) {
+  return env.CLOCK ? env.CLOCK.now() : Date.now();
+}
+
+function isoNow(env) {
+  return new Date(clockNow(env)).toISOString();
+}
+
+// the original family pool predates leagues and keeps its unsuffixed keys
+const DEFAULT_LEAGUE = 'family';
+
+function leagueKey(kind, season, league) {
+  return !league || league === DEFAULT_LEAGUE ? `${kind}:${season}` : `${kind}:${season}:${league}`;
+}
+
+async function loadLeague(env, league) {
+  if (!league || league === DEFAULT_LEAGUE) return { id: DEFAULT_LEAGUE };
+  return env.DATA.get(`league:${league}`, 'json');
+}
+
+async function hashSecret(secret) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function isSiteAdmin(request, env) {
+  return request.headers.get('Authorization') === `Bearer ${env.ADMIN_SECRET}`;
+}
+
+// ADMIN_SECRET administers every league; a league's own secret only that league
+async function isAuthorized(request, env, league) {
+  const auth = request.headers.get('Authorization') || '';
+  if (isSiteAdmin(request, env)) return true;
+  if (!league || league === DEFAULT_LEAGUE || !auth.startsWith('Bearer ')) return false;
+  const record = await loadLeague(env, league);
+  return !!record && !!record.secretHash && record.secretHash === await hashSecret(auth.slice('Bearer '.length));
+}
+
+// strip edit-token hashes before sending submissions anywhere
+function publicPick({ tokenHash, ...pick }) {
+  return pick;
+}
+
+// before the deadline only names and timestamps are public
+function sealedPick({ name, submittedAt, updatedAt }) {
+  return { name, submittedAt, ...(updatedAt ? { updatedAt } : {}) };
+}
+
+function isSealed(config, now) {
+  return !!config.deadline && now < new Date(config.deadline).getTime();
+}
+
+// --- edit tokens ---
+
+// edit tokens and pins are hashed together with the pool and name they unlock, so
+// the hash of a 4-digit pin can't be matched against any other roster
+async function hashToken(season, league, name, token) {
+  return hashSecret(`${season}:${league || DEFAULT_LEAGUE}:${name}:${token}`);
+}
+
+// a pin can be as short as 4 digits, so a name that keeps getting the wrong one is
+// locked for a while rather than allowing 10k guesses. reads (a sealed roster, open
+// predictions) keep their own count, so a stranger guessing at a read can't lock the
+// player out of editing
+const MAX_TOKEN_FAILURES = 5;
+const TOKEN_LOCKOUT_MS = 15 * 60 * 1000;
+
+function failuresKey(season, league, name, purpose) {
+  return `${leagueKey(purpose === 'read' ? 'read-failures' : 'failures', season, league)}/${name}`;
+}
+
+// 'ok', 'wrong' or 'locked' for a token presented for a roster, to 'edit' it (the
+// default) or 'read' it. rosters saved before hashes were salted still match their
+// bare hash until their next save; a roster with no hash matches nothing and counts nothing
+async function checkToken(env, season, league, name, tokenHash, token, purpose = 'edit') {
+  if (!tokenHash) return 'wrong';
+  const key = failuresKey(season, league, name, purpose);
+  const now = clockNow(env);
+  const failures = await env.DATA.get(key, 'json');
+  if (failures && failures.lockedUntil && now < failures.lockedUntil) return 'locked';
+
+  const given = String(token);
+  if (tokenHash === await hashToken(season, league, name, given) || tokenHash === await hashSecret(given)) {
+    if (failures) await env.DATA.delete(key);
+    return 'ok';
+  }
+  // a lockout that has run out starts the count again
+  const count = (failures && !failures.lockedUntil ? failures.count : 0) + 1;
+  await env.DATA.put(key, JSON.stringify(count >= MAX_TOKEN_FAILURES ? { count, lockedUntil: now + TOKEN_LOCKOUT_MS } : { count }));
+  return 'wrong';
+}
+
+function lockedOut(name) {
+  return json({ error: `too many wrong pins for ${name} — try again in a few minutes or ask an admin` }, 429);
+}
+
+// --- pick storage ---
+
+// every submission lives under its own key (pick:<season>[:<league>]/<name>), so two people
+// submitting at once never read-modify-write the same value. the old single picks:<season>
+// array is folded in the first time a pool is read
+function pickKey(season, league, name) {
+  return `${leagueKey('pick', season, league)}/${name}`;
+}
+
+async function listKeys(env, prefix) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await env.DATA.list({ prefix, cursor });
+    names.push(...page.keys.map(k => k.name));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return names;
+}
+
+async function migrateLegacyPicks(env, season, league) {
+  const legacyKey = leagueKey('picks', season, league);
+  const legacy = await env.DATA.get(legacyKey, 'json');
+  if (!legacy) return;
+  for (const pick of legacy) {
+    // a newer per-key submission wins over the copy in the old array
+    if (!await env.DATA.get(pickKey(season, league, pick.name))) {
+      await env.DATA.put(pickKey(season, league, pick.name), JSON.stringify(pick));
+    }
+  }
+  await env.DATA.delete(legacyKey);
+}
+
+// every submission in a pool, oldest first — the same array the single key used to hold
+async function loadPicks(env, season, league) {
+  await migrateLegacyPicks(env, season, league);
+  const keys = await listKeys(env, `${leagueKey('pick', season, league)}/`);
+  const picks = (await Promise.all(keys.map(key => env.DATA.get(key, 'json')))).filter(Boolean);
+  return picks.sort((a, b) => (a.submittedAt || '').localeCompare(b.submittedAt || ''));
+}
+
+async function loadPick(env, season, league, name) {
+  await migrateLegacyPicks(env, season, league);
+  return env.DATA.get(pickKey(season, league, name), 'json');
+}
+
+// writes the current roster and keeps a copy of this version, keyed by when it was saved
+async function savePick(env, season, league, pick, reason) {
+  await env.DATA.put(pickKey(season, league, pick.name), JSON.stringify(pick));
+  await recordVersion(env, season, league, pick, reason);
+}
+
+// --- history and audit ---
+
+// every version of every roster stays at history:<season>[:<league>]/<name>/<version>,
+// where the version id starts with the time it was saved so keys list in order
+function historyPrefix(season, league, name) {
+  return `${leagueKey('history', season, league)}/${name ? `${name}/` : ''}`;
+}
+
+// key suffixes that list in the order they were written: the timestamp, then a counter for
+// writes in the same millisecond, then a random tail so two isolates never collide
+let sequence = 0;
+function sortableId(at) {
+  sequence += 1;
+  return `${at}-${String(sequence).padStart(12, '0')}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+async function recordVersion(env, season, league, pick, reason) {
+  const savedAt = pick.updatedAt || pick.submittedAt || isoNow(env);
+  const version = sortableId(savedAt);
+  const entry = { ...pick, version, savedAt, reason: reason || (pick.updatedAt ? 'updated' : 'submitted') };
+  await env.DATA.put(historyPrefix(season, league, pick.name) + version, JSON.stringify(entry));
+}
+
+// versions oldest first, for one player or (without a name) everyone
+async function loadHistory(env, season, league, name) {
+  const keys = await listKeys(env, historyPrefix(season, league, name));
+  const versions = (await Promise.all(keys.map(key => env.DATA.get(key, 'json')))).filter(Boolean);
+  return versions.sort((a, b) => a.savedAt.localeCompare(b.savedAt) || a.version.localeCompare(b.version));
+}
+
+function adminActor(request, env) {
+  return isSiteAdmin(request, env) ? 'site admin' : 'league admin';
+}
+
+// one key per admin action under audit:<season>, tagged with the league it touched.
+// SITE_WIDE marks an action every league's log shows (a live result)
+const SITE_WIDE = '*';
+async function audit(env, request, season, league, action, details = {}) {
+  const at = isoNow(env);
+  const scope = league === SITE_WIDE ? { siteWide: true } : { league: league || DEFAULT_LEAGUE };
+  const entry = { at, action, actor: adminActor(request, env), ...scope, ...details };
+  await env.DATA.put(`audit:${season}/${sortableId(at)}`, JSON.stringify(entry));
+}
+
+async function clearPicks(env, season, league) {
+  await env.DATA.delete(leagueKey('picks', season, league));
+  const keys = await listKeys(env, `${leagueKey('pick', season, league)}/`);
+  await Promise.all(keys.map(key => env.DATA.delete(key)));
+}
+
+// --- live results ---
+
+// results recorded on episode night, replayed by the app on top of data/<season>/events.json.
+// kept per season (not per league) since every league scores the same game
+const EVENT_FIELDS = {
+  eliminated: ['contestant'],
+  winner: ['contestant'],
+  immunity_win: ['contestant'],
+  reward_win: ['contestant'],
+  idol_found: ['contestant'],
+  idol_played: ['contestant'],
+  advantage_found: ['contestant'],
+  advantage_played: ['contestant'],
+  vote_received: ['contestant'],
+  votes_nullified: ['contestant'],
+  fire_win: ['contestant'],
+  idol_blindside: ['contestant'],
+  jury_vote: ['contestant', 'for'],
+  tribe_swap: ['contestant', 'tribe'],
+  merge: ['tribe'],
+};
+
+const EVENT_KEYS = ['type', 'episode', 'contestant', 'for', 'tribe', 'method', 'jury', 'count', 'note', 'index'];
+
+// returns an error message, or null when the event can be logged
+function eventError(event, live, contestants) {
+  if (!event || typeof event !== 'object') return 'event required';
+  if (event.type === 'retract') {
+    const target = live[event.index];
+    if (!Number.isInteger(event.index) || !target) return 'retract needs the index of a live event';
+    if (target.type === 'retract') return 'a retraction cannot be retracted';
+    if (live.some(e => e.type === 'retract' && e.index === event.index)) return `event ${event.index} is already retracted`;
+    return null;
+  }
+  const fields = EVENT_FIELDS[event.type];
+  if (!fields) return `unknown event type: ${event.type}`;
+  if (!Number.isInteger(event.episode) || event.episode < 1) return 'episode must be a positive whole number';
+  const missing = fields.filter(f => !event[f]);
+  if (missing.length) return `${event.type} needs ${missing.join(', ')}`;
+  if (event.count != null && (!Number.isInteger(event.count) || event.count < 1)) return 'count must be a positive whole number';
+  if (contestants) {
+    const unknown = [event.contestant, event.for].filter(n => n && !contestants.includes(n));
+    if (unknown.length) return `unknown contestant: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+// --- predictions ---
+
+// each weekly guess lives at prediction:<season>[:<league>]/<name>/<episode>, so a
+// player can change their guess until that episode's cutoff
+function predictionKey(season, league, name, episode) {
+  return `${leagueKey('prediction', season, league)}/${name}/${episode}`;
+}
+
+async function loadPredictions(env, season, league) {
+  const keys = await listKeys(env, `${leagueKey('prediction', season, league)}/`);
+  const predictions = (await Promise.all(keys.map(key => env.DATA.get(key, 'json')))).filter(Boolean);
+  return predictions.sort((a, b) => a.episode - b.episode || a.name.localeCompare(b.name));
+}
+
+function cleanPrediction({ name, episode, boot, immunity }) {
+  return { name, episode, boot, ...(immunity ? { immunity } : {}) };
+}
+
+// guesses stay hidden until their episode's cutoff, like rosters before the deadline
+function isRevealed(config, episode, now) {
+  const cutoff = (config.predictionCutoffs || [])[episode - 1];
+  return !cutoff || now >= new Date(cutoff).getTime();
+}
+
+// the earliest episode still taking guesses, or null
+function openEpisode(config, now) {
+  const cutoffs = config.predictionCutoffs || [];
+  const i = cutoffs.findIndex(cutoff => cutoff && now < new Date(cutoff).getTime());
+  return i === -1 ? null : { episode: i + 1, cutoff: cutoffs[i] };
+}
+
+// the roster's edit token or pin proves who's guessing; drafted rosters (saved without a
+// token once the draft completes) use their seat token. any other roster with neither
+// (entered by an admin, or saved before tokens) can't be proven, so it sits the game out
+async function ownsRoster(env, season, league, name, token, purpose = 'edit') {
+  if (!token) return false;
+  const pick = await loadPick(env, season, league, name);
+  if (pick && pick.tokenHash) return await checkToken(env, season, league, name, pick.tokenHash, token, purpose) === 'ok';
+  // seat tokens are random uuids, so they're stored with a plain hash
+  const room = await env.DATA.get(leagueKey('draft', season, league), 'json');
+  return !!room && room.tokenHashes[name] === await hashSecret(String(token));
+}
+
+// --- draft rooms ---
+
+function shuffle(list) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// snake order: odd rounds run the draft order backwards
+function playerForPick(room, n) {
+  const count = room.order.length;
+  const round = Math.floor(n / count);
+  const idx = n % count;
+  return round % 2 === 0 ? room.order[idx] : room.order[count - 1 - idx];
+}
+
+function totalPicks(room) {
+  return room.order.length * (room.picksPerPlayer + room.alternates);
+}
+
+function draftTaken(room) {
+  return new Set(room.picks.map(p => p.contestant));
+}
+
+// record a pick and move the turn pointer; the last pick writes every roster to picks
+function applyDraftPick(room, contestant, at, auto = false) {
+  const n = room.picks.length;
+  room.picks.push({ n, player: playerForPick(room, n), contestant, at: new Date(at).toISOString(), ...(auto ? { auto: true } : {}) });
+  if (room.picks.length >= totalPicks(room)) {
+    room.status = 'complete';
+    room.turnStartedAt = null;
+  } else {
+    room.turnStartedAt = new Date(at).toISOString();
+  }
+}
+
+// turns that ran out of time since the last request get a random auto-pick. the
+// clock doesn't run until someone has claimed a seat (turnStartedAt is null till then)
+function expireDraftTurns(room, now) {
+  let changed = false;
+  while (room.status === 'live' && room.turnSeconds && room.turnStartedAt) {
+    const expiresAt = new Date(room.turnStartedAt).getTime() + room.turnSeconds * 1000;
+    if (now < expiresAt) break;
+    const taken = draftTaken(room);
+    const remaining = room.contestants.filter(c => !taken.has(c));
+    applyDraftPick(room, remaining[Math.floor(Math.random() * remaining.length)], expiresAt, true);
+    changed = true;
+  }
+  return changed;
+}
+
+function draftRosters(room) {
+  const perPlayer = room.picksPerPlayer + room.alternates;
+  return room.order.map(name => {
+    const mine = room.picks.filter(p => p.player === name).map(p => p.contestant).slice(0, perPlayer);
+    return {
+      name,
+      picks: mine.slice(0, room.picksPerPlayer),
+      alternates: mine.slice(room.picksPerPlayer),
+      submittedAt: room.picks.filter(p => p.player === name).pop().at,
+    };
+  });
+}
+
+function publicRoom(room, now) {
+  const { tokenHashes, ...rest } = room;
+  const current = room.status === 'live' ? playerForPick(room, room.picks.length) : null;
+  const turnEndsAt = current && room.turnSeconds && room.turnStartedAt
+    ? new Date(new Date(room.turnStartedAt).getTime() + room.turnSeconds * 1000).toISOString()
+    : null;
+  return { ...rest, joined: Object.keys(tokenHashes), current, turnEndsAt, serverTime: new Date(now).toISOString() };
+}
+
+// load a room, apply any expired turns, and persist the catch-up
+async function loadDraftRoom(env, season, league) {
+  const key = leagueKey('draft', season, league);
+  const room = await env.DATA.get(key, 'json');
+  if (!room) return null;
+  if (expireDraftTurns(room, clockNow(env))) await saveDraftRoom(env, season, league, room);
+  return room;
+}
+
+async function saveDraftRoom(env, season, league, room) {
+  await env.DATA.put(leagueKey('draft', season, league), JSON.stringify(room));
+  if (room.status === 'complete') {
+    await Promise.all(draftRosters(room).map(pick => savePick(env, season, league, pick, 'draft')));
+  }
 }
 
 export default {
@@ -31,108 +410,479 @@ export default {
     if (request.method === 'POST' && path === '/picks') {
       try {
         const body = await request.json();
-        const { season, name, picks, alternates } = body;
+        const { season, league, name, picks, alternates, alternateSlots, finalVotesGuess, token } = body;
+        // a blank pin field means "no pin": hashing '' would lock the roster behind a pin nobody set
+        const pin = body.pin === '' ? null : body.pin;
 
         if (!season || !name || !picks || !Array.isArray(picks)) {
           return json({ error: 'missing required fields: season, name, picks' }, 400);
         }
+        if (!await loadLeague(env, league)) return json({ error: `unknown league: ${league}` }, 404);
 
-        const config = await env.DATA.get(`config:${season}`, 'json');
-        if (config) {
-          if (config.deadline && new Date() >= new Date(config.deadline)) {
-            return json({ error: 'submissions are closed' }, 403);
+        if (await env.DATA.get(leagueKey('draft', season, league))) {
+          return json({ error: 'this pool picks through the live draft' }, 403);
+        }
+
+        // the season definition an admin pushed to config drives the same checks the submit form runs
+        const config = await env.DATA.get(leagueKey('config', season, league), 'json') || {};
+        const { ok, errors } = validateRoster({ name, pin, picks, alternates, alternateSlots, finalVotesGuess }, config, new Date(clockNow(env)));
+        if (!ok) {
+          const message = Object.values(errors)[0];
+          return json({ error: message, errors }, errors.form ? 403 : 400);
+        }
+
+        const playerName = name.trim().toLowerCase();
+        const now = isoNow(env);
+
+        // a name is claimed by whoever submits first; later writes need their token or pin
+        const previous = await loadPick(env, season, league, playerName);
+        let newToken = null;
+        let tokenHash;
+        if (previous) {
+          if (!previous.tokenHash) {
+            return json({ error: `picks for ${playerName} can only be changed by an admin` }, 403);
           }
-          if (config.open === false) {
-            return json({ error: 'submissions are not open' }, 403);
+          const check = token ? await checkToken(env, season, league, playerName, previous.tokenHash, token) : 'wrong';
+          if (check === 'locked') return lockedOut(playerName);
+          if (check !== 'ok') {
+            return json({ error: `${playerName} has already submitted picks — use your edit link or pin to change them` }, 403);
           }
-          if (config.contestants) {
-            const valid = new Set(config.contestants);
-            const allPicks = [...picks, ...(alternates || [])];
-            const invalid = allPicks.filter(p => !valid.has(p));
-            if (invalid.length > 0) {
-              return json({ error: `invalid contestants: ${invalid.join(', ')}` }, 400);
-            }
+          tokenHash = await hashToken(season, league, playerName, String(token));
+          // rosters saved before history existed get their first version now
+          if ((await listKeys(env, historyPrefix(season, league, playerName))).length === 0) {
+            await recordVersion(env, season, league, previous);
           }
+        } else {
+          newToken = pin != null ? null : crypto.randomUUID();
+          tokenHash = await hashToken(season, league, playerName, String(pin != null ? pin : newToken));
         }
 
-        const key = `picks:${season}`;
-        let existing = await env.DATA.get(key, 'json') || [];
-        const playerName = name.trim().toLowerCase();
-
-        existing = existing.filter(p => p.name !== playerName);
-        existing.push({
+        await savePick(env, season, league, {
           name: playerName,
           picks,
           alternates: alternates || [],
-          submittedAt: new Date().toISOString(),
+          ...(Array.isArray(alternateSlots) ? { alternateSlots } : {}),
+          ...(finalVotesGuess != null ? { finalVotesGuess } : {}),
+          submittedAt: previous ? previous.submittedAt : now,
+          ...(previous ? { updatedAt: now } : {}),
+          tokenHash,
         });
 
-        await env.DATA.put(key, JSON.stringify(existing));
-        return json({ ok: true, message: `picks submitted for ${playerName}` }, 200);
+        const message = previous ? `picks updated for ${playerName}` : `picks submitted for ${playerName}`;
+        return json({ ok: true, message, ...(newToken ? { token: newToken } : {}) }, 200);
       } catch (e) {
         return json({ error: 'invalid request body' }, 400);
       }
     }
 
-    // GET /picks/:season — get all picks
+    // GET /picks/:season[/:league] — get all picks (names only until the deadline)
     if (request.method === 'GET' && path.startsWith('/picks/')) {
-      const season = path.split('/')[2];
+      const [, , season, league] = path.split('/');
+      if (!season) return json({ error: 'season required' }, 400);
+      if (!await loadLeague(env, league)) return json({ error: `unknown league: ${league}` }, 404);
+
+      const picks = await loadPicks(env, season, league);
+      const config = await env.DATA.get(leagueKey('config', season, league), 'json') || {};
+      if (!isSealed(config, clockNow(env))) {
+        return json({ picks: picks.map(publicPick), config }, 200);
+      }
+
+      // sealed: a player presenting their edit token (X-Edit-Token, with ?name=) still sees their own roster
+      const name = url.searchParams.get('name');
+      const token = request.headers.get('X-Edit-Token');
+      const own = name && token ? picks.find(p => p.name === name) : null;
+      const owner = own && await checkToken(env, season, league, name, own.tokenHash, token, 'read') === 'ok' ? name : null;
+      const visible = picks.map(p => p.name === owner ? publicPick(p) : sealedPick(p));
+      return json({ picks: visible, config, sealed: true }, 200);
+    }
+
+    // POST /predictions — guess who goes home (and optionally who wins immunity) before an episode's cutoff
+    if (request.method === 'POST' && path === '/predictions') {
+      try {
+        const { season, league, name, episode, boot, immunity, token } = await request.json();
+        if (!season || !name) return json({ error: 'missing required fields: season, name' }, 400);
+        if (!await loadLeague(env, league)) return json({ error: `unknown league: ${league}` }, 404);
+
+        const config = await env.DATA.get(leagueKey('config', season, league), 'json') || {};
+        if (!Array.isArray(config.predictionCutoffs)) return json({ error: 'predictions are not open for this season' }, 403);
+        const { ok, errors } = validatePrediction({ name, episode, boot, immunity }, config, new Date(clockNow(env)));
+        if (!ok) {
+          const message = Object.values(errors)[0];
+          return json({ error: message, errors }, errors.form ? 403 : 400);
+        }
+
+        const playerName = name.trim().toLowerCase();
+        const roster = await loadPick(env, season, league, playerName);
+        // drafted rosters carry no token of their own; the seat token proves them instead
+        const drafted = !!await env.DATA.get(leagueKey('draft', season, league));
+        if (!roster && !drafted) {
+          return json({ error: `${playerName} has no roster this season` }, 403);
+        }
+        if (roster && !roster.tokenHash && !drafted) {
+          return json({ error: `${playerName}'s roster has no edit link or pin, so it can't make predictions` }, 403);
+        }
+        if (!await ownsRoster(env, season, league, playerName, token)) {
+          return json({ error: `use your edit link or pin to predict as ${playerName}` }, 403);
+        }
+
+        const key = predictionKey(season, league, playerName, episode);
+        const previous = await env.DATA.get(key, 'json');
+        const now = isoNow(env);
+        await env.DATA.put(key, JSON.stringify({
+          ...cleanPrediction({ name: playerName, episode, boot, immunity }),
+          submittedAt: previous ? previous.submittedAt : now,
+          ...(previous ? { updatedAt: now } : {}),
+        }));
+        return json({ ok: true, message: `episode ${episode} prediction ${previous ? 'updated' : 'saved'} for ${playerName}` }, 200);
+      } catch (e) {
+        return json({ error: 'invalid request body' }, 400);
+      }
+    }
+
+    // GET /predictions/:season[/:league] — guesses for episodes past their cutoff, plus the episode open now.
+    // a player presenting their edit token or pin (?name= with an X-Edit-Token header) also sees their own open guesses
+    if (request.method === 'GET' && path.startsWith('/predictions/')) {
+      const [, , season, league] = path.split('/');
       if (!season) return json({ error: 'season required' }, 400);
+      if (!await loadLeague(env, league)) return json({ error: `unknown league: ${league}` }, 404);
+
+      const config = await env.DATA.get(leagueKey('config', season, league), 'json') || {};
+      const now = clockNow(env);
+      const name = url.searchParams.get('name');
+      const mine = name && await ownsRoster(env, season, league, name, request.headers.get('X-Edit-Token'), 'read');
+      const visible = (await loadPredictions(env, season, league))
+        .filter(p => isRevealed(config, p.episode, now) || (mine && p.name === name));
+      return json({ predictions: visible.map(cleanPrediction), open: openEpisode(config, now) }, 200);
+    }
+
+    // GET /events/:season — results recorded live, newest last
+    if (request.method === 'GET' && path.startsWith('/events/')) {
+      const [, , season] = path.split('/');
+      if (!season) return json({ error: 'season required' }, 400);
+      const events = await env.DATA.get(`events:${season}`, 'json') || [];
+      return json({ events }, 200);
+    }
+
+    // GET /draft/:season[/:league] — draft room state
+    if (request.method === 'GET' && path.startsWith('/draft/')) {
+      const [, , season, league] = path.split('/');
+      if (!season) return json({ error: 'season required' }, 400);
+
+      const room = await loadDraftRoom(env, season, league);
+      if (!room) return json({ error: 'no draft for this season' }, 404);
+      return json({ room: publicRoom(room, clockNow(env)) }, 200);
+    }
+
+    // POST /draft/join — claim a seat in the draft order, returns that seat's token
+    if (request.method === 'POST' && path === '/draft/join') {
+      try {
+        const { season, league, name } = await request.json();
+        if (!season || !name) return json({ error: 'season and name required' }, 400);
+
+        const room = await loadDraftRoom(env, season, league);
+        if (!room) return json({ error: 'no draft for this season' }, 404);
+        const playerName = name.trim().toLowerCase();
+        if (!room.order.includes(playerName)) return json({ error: `${playerName} isn't in this draft` }, 403);
+        if (room.tokenHashes[playerName]) return json({ error: `${playerName} has already joined this draft` }, 403);
+
+        const token = crypto.randomUUID();
+        room.tokenHashes[playerName] = await hashSecret(token);
+        // the first seat claimed starts the turn clock
+        if (!room.turnStartedAt) room.turnStartedAt = isoNow(env);
+        await saveDraftRoom(env, season, league, room);
+        return json({ ok: true, token, room: publicRoom(room, clockNow(env)) }, 200);
+      } catch (e) {
+        return json({ error: 'invalid request body' }, 400);
+      }
+    }
+
+    // POST /draft/claim — draft a contestant on your turn
+    if (request.method === 'POST' && path === '/draft/claim') {
+      try {
+        const { season, league, name, token, contestant } = await request.json();
+        if (!season || !name || !token || !contestant) {
+          return json({ error: 'missing required fields: season, name, token, contestant' }, 400);
+        }
+
+        const room = await loadDraftRoom(env, season, league);
+        if (!room) return json({ error: 'no draft for this season' }, 404);
+        const playerName = name.trim().toLowerCase();
+        if (room.tokenHashes[playerName] !== await hashSecret(String(token))) {
+          return json({ error: 'unauthorized' }, 401);
+        }
+        if (room.status !== 'live') return json({ error: 'the draft is over' }, 409);
+        if (playerForPick(room, room.picks.length) !== playerName) {
+          return json({ error: `it's ${playerForPick(room, room.picks.length)}'s turn` }, 409);
+        }
+        if (!room.contestants.includes(contestant)) return json({ error: `invalid contestant: ${contestant}` }, 400);
+        if (draftTaken(room).has(contestant)) return json({ error: `${contestant} has already been drafted` }, 409);
+
+        applyDraftPick(room, contestant, clockNow(env));
+        await saveDraftRoom(env, season, league, room);
+        return json({ ok: true, room: publicRoom(room, clockNow(env)) }, 200);
+      } catch (e) {
+        return json({ error: 'invalid request body' }, 400);
+      }
+    }
+
+    // POST /admin/draft — open (or reset) a draft room with a random snake order
+    if (request.method === 'POST' && path === '/admin/draft') {
+      try {
+        const { season, league, players, picksPerPlayer, alternates = 0, turnSeconds = 0, contestants } = await request.json();
+        if (!await isAuthorized(request, env, league)) return json({ error: 'unauthorized' }, 401);
+        if (!season || !Array.isArray(players) || players.length === 0 || !picksPerPlayer) {
+          return json({ error: 'missing required fields: season, players, picksPerPlayer' }, 400);
+        }
+        if (!await loadLeague(env, league)) return json({ error: `unknown league: ${league}` }, 404);
+
+        const config = await env.DATA.get(leagueKey('config', season, league), 'json') || {};
+        const pool = contestants || config.contestants;
+        if (!Array.isArray(pool)) return json({ error: 'contestants required (in the body or config)' }, 400);
+        const order = shuffle([...new Set(players.map(p => p.trim().toLowerCase()))]);
+        if (order.length * (picksPerPlayer + alternates) > pool.length) {
+          return json({ error: 'not enough contestants for every roster' }, 400);
+        }
+
+        const room = {
+          status: 'live',
+          order,
+          picksPerPlayer,
+          alternates,
+          turnSeconds,
+          contestants: pool,
+          picks: [],
+          tokenHashes: {},
+          turnStartedAt: null,
+        };
+        await clearPicks(env, season, league);
+        await saveDraftRoom(env, season, league, room);
+        await audit(env, request, season, league, 'open draft', { players: order });
+        return json({ ok: true, room: publicRoom(room, clockNow(env)) }, 200);
+      } catch (e) {
+        return json({ error: 'invalid request body' }, 400);
+      }
+    }
+
+    // POST /admin/draft-seat — reopen a seat whose token was lost, so its player can join again
+    if (request.method === 'POST' && path === '/admin/draft-seat') {
+      try {
+        const { season, league, name } = await request.json();
+        if (!await isAuthorized(request, env, league)) return json({ error: 'unauthorized' }, 401);
+        if (!season || !name) return json({ error: 'season and name required' }, 400);
+
+        const room = await loadDraftRoom(env, season, league);
+        if (!room) return json({ error: 'no draft for this season' }, 404);
+        const playerName = name.trim().toLowerCase();
+        if (!room.order.includes(playerName)) return json({ error: `${playerName} isn't in this draft` }, 404);
+        delete room.tokenHashes[playerName];
+        await saveDraftRoom(env, season, league, room);
+        await audit(env, request, season, league, 'reopen draft seat', { name: playerName });
+        return json({ ok: true, room: publicRoom(room, clockNow(env)) }, 200);
+      } catch (e) {
+        return json({ error: 'invalid request body' }, 400);
+      }
+    }
+
+    // POST /admin/league — create a league or rotate its admin secret (global admin only)
+    if (request.method === 'POST' && path === '/admin/league') {
+      if (!await isAuthorized(request, env)) return json({ error: 'unauthorized' }, 401);
+
+      try {
+        const { league, name, secret } = await request.json();
+        if (!league || !/^[a-z0-9-]+$/.test(league)) return json({ error: 'league id must be lowercase letters, digits or dashes' }, 400);
+        if (league === DEFAULT_LEAGUE) return json({ error: `${DEFAULT_LEAGUE} is managed with ADMIN_SECRET` }, 400);
+        if (!secret) return json({ error: 'secret required' }, 400);
 
-      const picks = await env.DATA.get(`picks:${season}`, 'json') || [];
-      const config = await env.DATA.get(`config:${season}`, 'json') || {};
-      return json({ picks, config }, 200);
+        const existing = await env.DATA.get(`league:${league}`, 'json') || {};
+        const record = { ...existing, id: league, name: name || existing.name || league, secretHash: await hashSecret(secret) };
+        await env.DATA.put(`league:${league}`, JSON.stringify(record));
+        return json({ ok: true, league: { id: record.id, name: record.name } }, 200);
+      } catch (e) {
+        return json({ error: 'invalid request body' }, 400);
+      }
+    }
+
+    // POST /admin/event — record a result as it airs, or retract an earlier one (global admin only)
+    if (request.method === 'POST' && path === '/admin/event') {
+      if (!await isAuthorized(request, env)) return json({ error: 'unauthorized' }, 401);
+
+      try {
+        const { season, event } = await request.json();
+        if (!season) return json({ error: 'season required' }, 400);
+
+        const key = `events:${season}`;
+        const live = await env.DATA.get(key, 'json') || [];
+        const config = await env.DATA.get(leagueKey('config', season), 'json') || {};
+        const error = eventError(event, live, config.contestants);
+        if (error) return json({ error }, 400);
+
+        const entry = Object.fromEntries(EVENT_KEYS.filter(k => event[k] != null).map(k => [k, event[k]]));
+        live.push({ ...entry, source: 'live', recordedAt: isoNow(env) });
+        await env.DATA.put(key, JSON.stringify(live));
+        await audit(env, request, season, SITE_WIDE, entry.type === 'retract' ? 'retract result' : 'record result', { event: entry });
+        return json({ ok: true, index: live.length - 1, events: live }, 200);
+      } catch (e) {
+        return json({ error: 'invalid request body' }, 400);
+      }
     }
 
     // POST /admin/config — set config (auth required)
     if (request.method === 'POST' && path === '/admin/config') {
-      if (!isAuthorized(request, env)) return json({ error: 'unauthorized' }, 401);
-
       try {
         const body = await request.json();
-        const { season, ...config } = body;
+        const { season, league, ...config } = body;
+        if (!await isAuthorized(request, env, league)) return json({ error: 'unauthorized' }, 401);
         if (!season) return json({ error: 'season required' }, 400);
+        if (!await loadLeague(env, league)) return json({ error: `unknown league: ${league}` }, 404);
 
-        const key = `config:${season}`;
+        const key = leagueKey('config', season, league);
         const existing = await env.DATA.get(key, 'json') || {};
         const merged = { ...existing, ...config };
         await env.DATA.put(key, JSON.stringify(merged));
+        await audit(env, request, season, league, 'config', { changes: config });
         return json({ ok: true, config: merged }, 200);
       } catch (e) {
         return json({ error: 'invalid request body' }, 400);
       }
     }
 
-    // POST /admin/delete-pick — remove a submission by name
+    // GET /admin/picks/:season[/:league] — every submission with timestamps, sealed or not, plus deleted ones,
+    // and whether the secret is the site-wide one (the admin page only offers site-wide tools to it)
+    if (request.method === 'GET' && path.startsWith('/admin/picks/')) {
+      const [, , , season, league] = path.split('/');
+      if (!await isAuthorized(request, env, league)) return json({ error: 'unauthorized' }, 401);
+      if (!season) return json({ error: 'season required' }, 400);
+
+      const picks = await loadPicks(env, season, league);
+      const deleted = await env.DATA.get(leagueKey('deleted', season, league), 'json') || [];
+      const config = await env.DATA.get(leagueKey('config', season, league), 'json') || {};
+      return json({ picks: picks.map(publicPick), deleted: deleted.map(publicPick), config, siteAdmin: isSiteAdmin(request, env) }, 200);
+    }
+
+    // POST /admin/delete-pick — remove a submission by name (kept aside so it can be restored)
     if (request.method === 'POST' && path === '/admin/delete-pick') {
-      if (!isAuthorized(request, env)) return json({ error: 'unauthorized' }, 401);
+      try {
+        const { season, league, name } = await request.json();
+        if (!await isAuthorized(request, env, league)) return json({ error: 'unauthorized' }, 401);
+        if (!season || !name) return json({ error: 'season and name required' }, 400);
+
+        const removed = await loadPick(env, season, league, name);
+        if (removed) {
+          const deletedKey = leagueKey('deleted', season, league);
+          const deleted = (await env.DATA.get(deletedKey, 'json') || []).filter(p => p.name !== name);
+          deleted.push({ ...removed, deletedAt: isoNow(env) });
+          await env.DATA.put(deletedKey, JSON.stringify(deleted));
+          await env.DATA.delete(pickKey(season, league, name));
+          await audit(env, request, season, league, 'delete pick', { name });
+        }
+        const picks = await loadPicks(env, season, league);
+        return json({ ok: true, remaining: picks.length }, 200);
+      } catch (e) {
+        return json({ error: 'invalid request body' }, 400);
+      }
+    }
 
+    // POST /admin/restore-pick — put a deleted submission back, edit token and all
+    if (request.method === 'POST' && path === '/admin/restore-pick') {
       try {
-        const { season, name } = await request.json();
+        const { season, league, name } = await request.json();
+        if (!await isAuthorized(request, env, league)) return json({ error: 'unauthorized' }, 401);
         if (!season || !name) return json({ error: 'season and name required' }, 400);
 
-        const key = `picks:${season}`;
-        let picks = await env.DATA.get(key, 'json') || [];
-        picks = picks.filter(p => p.name !== name);
-        await env.DATA.put(key, JSON.stringify(picks));
+        const deletedKey = leagueKey('deleted', season, league);
+        const deleted = await env.DATA.get(deletedKey, 'json') || [];
+        const entry = deleted.find(p => p.name === name);
+        if (!entry) return json({ error: `no deleted submission for ${name}` }, 404);
+
+        if (await loadPick(env, season, league, name)) {
+          return json({ error: `${name} has submitted again — delete that entry first` }, 409);
+        }
+        const { deletedAt, ...restored } = entry;
+        await savePick(env, season, league, { ...restored, updatedAt: isoNow(env) }, 'restored');
+        await env.DATA.put(deletedKey, JSON.stringify(deleted.filter(p => p.name !== name)));
+        await audit(env, request, season, league, 'restore pick', { name });
+        const picks = await loadPicks(env, season, league);
         return json({ ok: true, remaining: picks.length }, 200);
       } catch (e) {
         return json({ error: 'invalid request body' }, 400);
       }
     }
 
-    // GET /admin/export/:season — export picks for committing
-    if (request.method === 'GET' && path.startsWith('/admin/export/')) {
-      if (!isAuthorized(request, env)) return json({ error: 'unauthorized' }, 401);
+    // GET /admin/history/:season[/:league]?name= — every saved version of a roster (or all rosters), oldest first
+    if (request.method === 'GET' && path.startsWith('/admin/history/')) {
+      const [, , , season, league] = path.split('/');
+      if (!await isAuthorized(request, env, league)) return json({ error: 'unauthorized' }, 401);
+      if (!season) return json({ error: 'season required' }, 400);
+
+      const name = url.searchParams.get('name');
+      const versions = await loadHistory(env, season, league, name && name.trim().toLowerCase());
+      return json({ versions: versions.map(publicPick) }, 200);
+    }
+
+    // POST /admin/restore-version — make an earlier version of a roster (by its version id) the current one
+    if (request.method === 'POST' && path === '/admin/restore-version') {
+      try {
+        const { season, league, name, version: id } = await request.json();
+        if (!await isAuthorized(request, env, league)) return json({ error: 'unauthorized' }, 401);
+        if (!season || !name || !id) return json({ error: 'season, name and version required' }, 400);
+
+        const version = await env.DATA.get(historyPrefix(season, league, name) + id, 'json');
+        if (!version) return json({ error: `no version ${id} of ${name}` }, 404);
 
-      const season = path.split('/')[3];
+        // the edit token stays with whoever holds the roster now
+        const current = await loadPick(env, season, league, name);
+        const { version: _, savedAt, reason, ...pick } = version;
+        const restored = {
+          ...pick,
+          submittedAt: current ? current.submittedAt : pick.submittedAt,
+          updatedAt: isoNow(env),
+          tokenHash: current ? current.tokenHash : pick.tokenHash,
+        };
+        await savePick(env, season, league, restored, 'restored');
+        await audit(env, request, season, league, 'restore version', { name, version: id });
+        return json({ ok: true, pick: publicPick(restored) }, 200);
+      } catch (e) {
+        return json({ error: 'invalid request body' }, 400);
+      }
+    }
+
+    // GET /admin/audit/:season[/:league] — admin actions, newest first. a league sees its own plus site-wide ones;
+    // entries from before leagues were tagged count as the default league's
+    if (request.method === 'GET' && path.startsWith('/admin/audit/')) {
+      const [, , , season, league] = path.split('/');
+      if (!await isAuthorized(request, env, league)) return json({ error: 'unauthorized' }, 401);
+      if (!season) return json({ error: 'season required' }, 400);
+
+      const keys = await listKeys(env, `audit:${season}/`);
+      const entries = (await Promise.all(keys.map(key => env.DATA.get(key, 'json')))).filter(Boolean);
+      const mine = entries.filter(e => e.siteWide || (e.league || DEFAULT_LEAGUE) === (league || DEFAULT_LEAGUE));
+      return json({ entries: mine.reverse() }, 200);
+    }
+
+    // GET /admin/export/:season[/:league] — export picks for committing
+    if (request.method === 'GET' && path.startsWith('/admin/export/')) {
+      const [, , , season, league] = path.split('/');
+      if (!await isAuthorized(request, env, league)) return json({ error: 'unauthorized' }, 401);
       if (!season) return json({ error: 'season required' }, 400);
 
-      const picks = await env.DATA.get(`picks:${season}`, 'json') || [];
-      const clean = picks.map(({ name, picks: p, alternates }) => ({ name, picks: p, alternates }));
+      const picks = await loadPicks(env, season, league);
+      const clean = picks.map(({ name, picks: p, alternates, alternateSlots, finalVotesGuess }) => ({
+        name, picks: p, alternates,
+        ...(alternateSlots ? { alternateSlots } : {}),
+        ...(finalVotesGuess != null ? { finalVotesGuess } : {})
+      }));
       return json(clean, 200);
     }
 
+    // GET /admin/predictions/:season[/:league] — every guess, revealed or not, for committing
+    if (request.method === 'GET' && path.startsWith('/admin/predictions/')) {
+      const [, , , season, league] = path.split('/');
+      if (!await isAuthorized(request, env, league)) return json({ error: 'unauthorized' }, 401);
+      if (!season) return json({ error: 'season required' }, 400);
+
+      return json((await loadPredictions(env, season, league)).map(cleanPrediction), 200);
+    }
+
     return json({ error: 'not found' }, 404);
   },
 };